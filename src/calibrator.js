@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import CriteriaModel from './criteria-model.js';
+import { mean, spearman } from './utils/statistics.js';
+
+const DEFAULT_TOLERANCE = {
+  // Largest acceptable mean absolute error, in score points
+  max_mae: 10,
+  // Largest acceptable average over- or under-scoring, in score points
+  max_bias: 7,
+  // Lowest acceptable rank correlation with the expert ranking
+  min_spearman: 0.5
+};
+
+/**
+ * Compares LLM scores for a golden set of posts against expert-assigned
+ * target scores, so prompt or model changes that shift scores are caught.
+ */
+class Calibrator {
+  /**
+   * @param {Object} goldenSet - Golden set from config/calibration
+   * @param {Object} evaluationConfig - Evaluation configuration the targets were set for
+   */
+  constructor(goldenSet, evaluationConfig) {
+    this.goldenSet = goldenSet;
+    this.criteria = new CriteriaModel(evaluationConfig);
+    this.tolerance = { ...DEFAULT_TOLERANCE, ...goldenSet.tolerance };
+    this.reportsDir = process.env.REPORTS_DIR || 'reports';
+  }
+
+  /**
+   * Dimension keys that can be calibrated, plus the overall score
+   */
+  get keys() {
+    return [...this.criteria.outputKeys, 'overall_score'];
+  }
+
+  getName(key) {
+    return key === 'overall_score' ? 'Overall Score' : this.criteria.get(key).name;
+  }
+
+  /**
+   * Compare evaluated scores with the targets
+   * @param {Array} results - { slug, targets, scores } per post, scores keyed like the targets
+   * @returns {Object} Per-dimension metrics, failures and a passed flag
+   */
+  compare(results) {
+    for (const result of results) {
+      const unknown = Object.keys(result.targets).filter(key => !this.keys.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Golden set post '${result.slug}' has targets for unknown dimensions: ${unknown.join(', ')}. Expected: ${this.keys.join(', ')}`);
+      }
+    }
+
+    const dimensions = this.keys.map(key => {
+      const pairs = results
+        .filter(result => result.targets[key] !== undefined && typeof result.scores[key] === 'number')
+        .map(result => ({ target: result.targets[key], score: result.scores[key] }));
+      const errors = pairs.map(pair => pair.score - pair.target);
+
+      return {
+        key,
+        name: this.getName(key),
+        posts: pairs.length,
+        mae: pairs.length > 0 ? mean(errors.map(Math.abs)) : null,
+        bias: pairs.length > 0 ? mean(errors) : null,
+        spearman: spearman(pairs.map(pair => pair.target), pairs.map(pair => pair.score))
+      };
+    }).filter(dimension => dimension.posts > 0);
+
+    const failures = [];
+    for (const dimension of dimensions) {
+      if (dimension.mae > this.tolerance.max_mae) {
+        failures.push(`${dimension.name}: mean absolute error ${dimension.mae.toFixed(1)} exceeds ${this.tolerance.max_mae}`);
+      }
+      if (Math.abs(dimension.bias) > this.tolerance.max_bias) {
+        failures.push(`${dimension.name}: bias ${this.formatSigned(dimension.bias)} exceeds ±${this.tolerance.max_bias}`);
+      }
+      // Correlation is undefined for fewer than 3 posts or identical scores, so it can't fail
+      if (dimension.spearman !== null && dimension.spearman < this.tolerance.min_spearman) {
+        failures.push(`${dimension.name}: rank correlation ${dimension.spearman.toFixed(2)} is below ${this.tolerance.min_spearman}`);
+      }
+    }
+
+    return {
+      tolerance: this.tolerance,
+      dimensions,
+      failures,
+      passed: failures.length === 0
+    };
+  }
+
+  formatSigned(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+  }
+
+  /**
+   * Format the comparison as a console table
+   * @param {Object} comparison - Result of compare()
+   * @returns {string} Table text
+   */
+  formatTable(comparison) {
+    const nameWidth = Math.max(...comparison.dimensions.map(dimension => dimension.name.length), 'Dimension'.length);
+    const header = `${'Dimension'.padEnd(nameWidth)}  Posts    MAE    Bias  Spearman`;
+    const rows = comparison.dimensions.map(dimension => [
+      dimension.name.padEnd(nameWidth),
+      String(dimension.posts).padStart(5),
+      dimension.mae.toFixed(1).padStart(6),
+      this.formatSigned(dimension.bias).padStart(7),
+      (dimension.spearman === null ? 'n/a' : dimension.spearman.toFixed(2)).padStart(9)
+    ].join(' '));
+
+    return [header, '-'.repeat(header.length), ...rows].join('\n');
+  }
+
+  /**
+   * Save the full calibration results for comparison with later runs
+   * @param {Object} data - Results to save
+   * @returns {Promise<string>} Path of the saved file
+   */
+  async save(data) {
+    const dir = path.join(this.reportsDir, '_calibration');
+    await fs.mkdir(dir, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').split('.')[0];
+    const filepath = path.join(dir, `${data.golden_set}-${stamp}.json`);
+    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+    return filepath;
+  }
+}
+
+export default Calibrator;
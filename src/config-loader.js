@@ -1,6 +1,49 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import YAML from 'yaml';
+import PromptTemplate from './prompt-template.js';
+
+const DEFAULT_RUNTIME_CONFIG = {
+  concurrency: {
+    posts: 3,
+    wordpress: { concurrency: 4, requests_per_minute: 60 },
+    llm: { concurrency: 2, requests_per_minute: 10 },
+    scraper: { concurrency: 2, requests_per_minute: 30 }
+  },
+  llm: {
+    max_repair_attempts: 2,
+    prompt_budget_tokens: 10000,
+    long_content: 'sections',
+    samples: 1,
+    low_confidence_spread: 10
+  },
+  cache: {
+    dir: '.cache/evaluations',
+    ttl_hours: 168
+  },
+  revisions: {
+    enabled: true,
+    max_revisions: 20,
+    min_changed_words: 50,
+    min_changed_ratio: 0.05
+  },
+  links: {
+    check: false,
+    concurrency: 8,
+    per_host_requests_per_minute: 30,
+    timeout_ms: 10000,
+    max_redirects: 5,
+    cache: { dir: '.cache/links', ttl_hours: 24 }
+  },
+  http: {
+    retries: 3,
+    base_delay_ms: 1000,
+    max_delay_ms: 30000,
+    max_retry_after_ms: 120000,
+    circuit_breaker: { failure_threshold: 5, reset_timeout_ms: 60000 }
+  },
+  pricing: {}
+};
 
 class ConfigLoader {
   constructor() {
@@ -47,6 +90,8 @@ class ConfigLoader {
       // Validate the configuration
       this.validateEvaluationConfig(config);
       
+      config.prompt_template = await this.loadPromptTemplate(config.prompt);
+      
       return config;
     } catch (error) {
       if (error.code === 'ENOENT') {
@@ -56,6 +101,133 @@ class ConfigLoader {
     }
   }
 
+  /**
+   * Load the prompt template named in an evaluation config's prompt section
+   * from config/evaluation/prompts
+   * @param {Object} [promptConfig] - prompt section: { template, version, variables }
+   * @returns {Promise<PromptTemplate>} Validated prompt template
+   */
+  async loadPromptTemplate(promptConfig = {}) {
+    const name = promptConfig.template || 'default';
+    const templatePath = path.join(this.configDir, 'evaluation', 'prompts', `${name}.md`);
+    let text;
+
+    try {
+      text = await fs.readFile(templatePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Prompt template '${name}.md' not found in config/evaluation/prompts`);
+      }
+      throw new Error(`Error loading prompt template '${name}.md': ${error.message}`);
+    }
+
+    const template = new PromptTemplate({
+      name,
+      text,
+      version: promptConfig.version ?? 1,
+      variables: promptConfig.variables || {}
+    });
+    template.validate();
+    return template;
+  }
+
+  /**
+   * Load runtime configuration (concurrency, rate limits, LLM and cache settings) from config/runtime.yaml.
+   * Missing settings fall back to built-in defaults.
+   * @returns {Promise<Object>} Configuration object
+   */
+  async loadRuntimeConfig() {
+    const configPath = path.join(this.configDir, 'runtime.yaml');
+    let config = {};
+
+    try {
+      const configData = await fs.readFile(configPath, 'utf8');
+      config = YAML.parse(configData) || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Error loading runtime configuration 'runtime.yaml': ${error.message}`);
+      }
+    }
+
+    return this.mergeDefaults(DEFAULT_RUNTIME_CONFIG, config);
+  }
+
+  /**
+   * Deep-merge a configuration object over its defaults
+   * @param {Object} defaults - Default values
+   * @param {Object} overrides - Values read from file
+   * @returns {Object} Merged configuration
+   */
+  mergeDefaults(defaults, overrides) {
+    const merged = { ...defaults };
+    for (const [key, value] of Object.entries(overrides || {})) {
+      const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+      merged[key] = isObject && typeof defaults[key] === 'object'
+        ? this.mergeDefaults(defaults[key], value)
+        : value;
+    }
+    return merged;
+  }
+
+  /**
+   * Load a calibration golden set from config/calibration
+   * @param {string} setName - Name of the golden set file (without .yaml extension)
+   * @returns {Promise<Object>} Golden set
+   */
+  async loadCalibrationSet(setName) {
+    try {
+      const configPath = path.join(this.configDir, 'calibration', `${setName}.yaml`);
+      const configData = await fs.readFile(configPath, 'utf8');
+      const config = YAML.parse(configData);
+
+      this.validateCalibrationSet(config);
+
+      return config;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Calibration golden set '${setName}.yaml' not found`);
+      }
+      throw new Error(`Error loading calibration golden set '${setName}.yaml': ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate calibration golden set structure
+   * @param {Object} config - Golden set to validate
+   */
+  validateCalibrationSet(config) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('Calibration set: must be a YAML object');
+    }
+    if (!Array.isArray(config.posts) || config.posts.length === 0) {
+      throw new Error('Calibration set: posts must be a non-empty array');
+    }
+
+    for (const [field, value] of Object.entries(config.tolerance || {})) {
+      if (typeof value !== 'number') {
+        throw new Error(`Calibration set: tolerance.${field} must be a number`);
+      }
+    }
+
+    config.posts.forEach((post, index) => {
+      const label = post?.slug || `#${index + 1}`;
+      if (!post?.slug) {
+        throw new Error(`Calibration set: post ${label} must have a slug`);
+      }
+      if (post.content !== undefined && typeof post.content !== 'object') {
+        throw new Error(`Calibration set: post ${label} content must be an object of extracted fields`);
+      }
+      if (!post.targets || typeof post.targets !== 'object' || Object.keys(post.targets).length === 0) {
+        throw new Error(`Calibration set: post ${label} must have target scores`);
+      }
+      for (const [key, score] of Object.entries(post.targets)) {
+        if (typeof score !== 'number' || score < 0 || score > 100) {
+          throw new Error(`Calibration set: post ${label} target ${key} must be a number from 0 to 100`);
+        }
+      }
+    });
+  }
+
   /**
    * Validate extraction configuration structure
    * @param {Object} config - Configuration object to validate
@@ -96,11 +268,76 @@ class ConfigLoader {
       throw new Error('Evaluation config: output_format must be an object');
     }
 
+    if (config.llm !== undefined) {
+      if (typeof config.llm !== 'object' || config.llm === null) {
+        throw new Error('Evaluation config: llm must be an object');
+      }
+      if (config.llm.provider !== undefined && typeof config.llm.provider !== 'string') {
+        throw new Error('Evaluation config: llm.provider must be a string');
+      }
+      if (config.llm.model !== undefined && typeof config.llm.model !== 'string') {
+        throw new Error('Evaluation config: llm.model must be a string');
+      }
+    }
+
+    if (config.prompt !== undefined) {
+      if (typeof config.prompt !== 'object' || config.prompt === null) {
+        throw new Error('Evaluation config: prompt must be an object');
+      }
+      if (config.prompt.template !== undefined && typeof config.prompt.template !== 'string') {
+        throw new Error('Evaluation config: prompt.template must be a string');
+      }
+      if (config.prompt.version !== undefined && !['string', 'number'].includes(typeof config.prompt.version)) {
+        throw new Error('Evaluation config: prompt.version must be a string or number');
+      }
+      for (const [name, value] of Object.entries(config.prompt.variables || {})) {
+        if (typeof value !== 'string') {
+          throw new Error(`Evaluation config: prompt.variables.${name} must be a string`);
+        }
+      }
+    }
+
+    if (config.links !== undefined) {
+      if (typeof config.links !== 'object' || config.links === null) {
+        throw new Error('Evaluation config: links must be an object');
+      }
+      for (const field of ['internal_hosts', 'property_patterns', 'affiliate_patterns']) {
+        const values = config.links[field];
+        if (values === undefined) continue;
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+          throw new Error(`Evaluation config: links.${field} must be a list of strings`);
+        }
+        if (field.endsWith('_patterns')) {
+          for (const pattern of values) {
+            try {
+              new RegExp(pattern, 'i');
+            } catch (error) {
+              throw new Error(`Evaluation config: invalid pattern in links.${field}: ${error.message}`);
+            }
+          }
+        }
+      }
+    }
+
     // Validate each evaluation criterion
     for (const criterion of config.evaluation_criteria) {
       if (typeof criterion !== 'object') {
         throw new Error('Evaluation config: each criterion must be an object');
       }
+      const [key] = Object.keys(criterion);
+      const weight = criterion[key]?.weight;
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new Error(`Evaluation config: '${key}' must have a non-negative numeric weight`);
+      }
+      if (key === 'keyword_density') {
+        const { target, min, max } = criterion[key];
+        if ([target, min, max].some(value => value !== undefined && typeof value !== 'number')) {
+          throw new Error('Evaluation config: keyword_density target, min and max must be numbers (percent)');
+        }
+        if (min !== undefined && max !== undefined && min > max) {
+          throw new Error('Evaluation config: keyword_density min must not be greater than max');
+        }
+      }
     }
   }
 
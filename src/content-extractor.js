@@ -1,9 +1,20 @@
 import axios from 'axios';
-import * as cheerio from 'cheerio';
+import { parseHtml, htmlToText } from './utils/html-parser.js';
+import { auditImages } from './utils/image-audit.js';
+import { analyzeReadability } from './utils/readability.js';
+import { analyzeKeywords } from './utils/keyword-analysis.js';
 
 class ContentExtractor {
-  constructor(extractionConfig) {
+  /**
+   * @param {Object} extractionConfig - Fields to extract (config/extraction)
+   * @param {Object} [options]
+   * @param {string} [options.language] - Locale to assume when a post doesn't declare one, e.g. en-GB
+   * @param {Object} [options.keywordDensity] - Focus keyphrase density targets { target, min, max } in percent
+   */
+  constructor(extractionConfig, { language, keywordDensity } = {}) {
     this.config = extractionConfig;
+    this.language = language || 'en';
+    this.keywordDensity = keywordDensity || {};
   }
 
   /**
@@ -34,22 +45,33 @@ class ContentExtractor {
     
     const yoast = wordpressData.yoast_head_json || {};
     const meta = wordpressData.meta || {};
+    const html = wordpressData.content?.rendered || wordpressData.content || '';
+    const parsed = parseHtml(html, { baseUrl: wordpressData.link });
+    // Yoast's og:locale (en_GB) or a multilingual plugin's language, else the configured locale
+    const language = yoast.og_locale || wordpressData.language || this.language;
     
     const extractedContent = {
       post_id: wordpressData.id,
       slug: wordpressData.slug,
       url: wordpressData.link,
-      title: wordpressData.title?.rendered || wordpressData.title || '',
-      content: this.stripHtml(wordpressData.content?.rendered || wordpressData.content || ''),
-      content_html: wordpressData.content?.rendered || wordpressData.content || '',
+      title: htmlToText(wordpressData.title?.rendered || wordpressData.title || ''),
+      content: parsed.text,
+      content_html: html,
       excerpt: this.stripHtml(wordpressData.excerpt?.rendered || wordpressData.excerpt || ''),
       
       // Simple fallback: yoast_head_json first, then meta
       meta_description: yoast.description || meta._yoast_wpseo_metadesc || '',
       keywords: yoast.keywords || (meta._yoast_wpseo_focuskw ? [meta._yoast_wpseo_focuskw] : []),
       
-      headers: this.extractHeadings(wordpressData.content?.rendered || ''),
-      word_count: this.getWordCount(wordpressData.content?.rendered || ''),
+      headers: parsed.headings,
+      images: parsed.images,
+      links: parsed.links,
+      lists: parsed.lists,
+      tables: parsed.tables,
+      embeds: parsed.embeds,
+      word_count: this.getWordCount(parsed.text),
+      language,
+      readability: analyzeReadability(parsed.text, { language, headings: parsed.headings }),
       last_modified: wordpressData.modified || '',
       yoast_head_json: wordpressData.yoast_head_json || null,
       
@@ -68,13 +90,28 @@ class ContentExtractor {
       post_type: wordpressData.type || '',
       date_published: wordpressData.date || '',
       date_modified: wordpressData.modified || '',
+      // Revision analysis, only available with WordPress authentication
+      last_meaningful_update: wordpressData.revision_history?.last_meaningful_update || '',
+      revision_history: wordpressData.revision_history || null,
       author_id: wordpressData.author || '',
       featured_media_id: wordpressData.featured_media || '',
       categories: wordpressData.categories || [],
       tags: wordpressData.tags || [],
       
+      // Author, taxonomy and featured image details resolved by WordPressClient
+      author_name: wordpressData.author_profile?.name || '',
+      author_bio: this.stripHtml(wordpressData.author_profile?.bio || ''),
+      author_url: wordpressData.author_profile?.url || '',
+      category_names: wordpressData.category_names || [],
+      tag_names: wordpressData.tag_names || [],
+      featured_image_url: wordpressData.featured_image?.url || '',
+      featured_image_width: wordpressData.featured_image?.width || null,
+      featured_image_height: wordpressData.featured_image?.height || null,
+      featured_image_alt: wordpressData.featured_image?.alt || '',
+      image_audit: auditImages(parsed.images, { featuredImage: wordpressData.featured_image }),
+      
       // Calculate estimated reading time
-      estimated_reading_time: this.calculateReadingTime(wordpressData.content?.rendered || ''),
+      estimated_reading_time: this.calculateReadingTime(parsed.text),
       
       // Extract additional meta if available
       canonical_url: wordpressData.meta?._yoast_wpseo_canonical || wordpressData.link || '',
@@ -89,6 +126,15 @@ class ContentExtractor {
       twitter_image: yoast.twitter_image || meta._yoast_wpseo_twitter_image || ''
     };
 
+    extractedContent.keyword_analysis = analyzeKeywords({
+      ...extractedContent,
+      seo_title: extractedContent.yoast_seo_title
+    }, {
+      keyphrase: extractedContent.yoast_focus_keyword,
+      language,
+      density: this.keywordDensity
+    });
+
     return this.applyConfigFilter(extractedContent);
   }
 
@@ -108,9 +154,21 @@ class ContentExtractor {
       keywords: scrapedData.meta?.keywords ? scrapedData.meta.keywords.split(',').map(k => k.trim()) : [],
       headers: scrapedData.headers || [],
       images: scrapedData.images || [],
+      // Scraped pages have no featured image; the Open Graph image plays the same role
+      image_audit: auditImages(scrapedData.images || [], {
+        featuredImage: scrapedData.meta?.og_image ? { url: scrapedData.meta.og_image, alt: scrapedData.meta.og_image_alt || '' } : null
+      }),
       schema: scrapedData.schema || [],
       links: scrapedData.links || [],
+      lists: scrapedData.lists || [],
+      tables: scrapedData.tables || [],
+      embeds: scrapedData.embeds || [],
       word_count: this.getWordCount(scrapedData.content?.text || ''),
+      readability: analyzeReadability(scrapedData.content?.text || '', {
+        language: scrapedData.meta?.language || this.language,
+        headings: scrapedData.headers || []
+      }),
+      estimated_reading_time: this.calculateReadingTime(scrapedData.content?.text || ''),
       
       // Technical SEO metadata
       canonical_url: scrapedData.meta?.canonical_url || '',
@@ -148,6 +206,13 @@ class ContentExtractor {
       raw_schemas: scrapedData.schema?.raw_schemas || scrapedData.schema || []
     };
 
+    // Pages have no focus keyword setting; the first meta keyword stands in for it
+    extractedContent.keyword_analysis = analyzeKeywords(extractedContent, {
+      keyphrase: extractedContent.keywords[0],
+      language: extractedContent.language || this.language,
+      density: this.keywordDensity
+    });
+
     return this.applyConfigFilter(extractedContent);
   }
 
@@ -214,7 +279,7 @@ class ContentExtractor {
     }
 
     // Always include essential fields
-    const essentialFields = ['post_id', 'slug', 'url', 'title', 'content'];
+    const essentialFields = ['post_id', 'slug', 'url', 'title', 'content', 'last_modified', 'post_status', 'post_type'];
     essentialFields.forEach(field => {
       if (extractedContent[field] !== undefined) {
         filteredContent[field] = extractedContent[field];
@@ -227,11 +292,10 @@ class ContentExtractor {
   /**
    * Strip HTML tags from content
    * @param {string} html - HTML content
-   * @returns {string} Plain text content
+   * @returns {string} Plain text content on one line
    */
   stripHtml(html) {
-    if (!html) return '';
-    return html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return htmlToText(html);
   }
 
   /**
@@ -244,28 +308,6 @@ class ContentExtractor {
     return content.split(/\s+/).filter(word => word.length > 0).length;
   }
 
-  /**
-   * Extract headings from HTML content
-   * @param {string} html - HTML content
-   * @returns {Array} Array of headings with their levels
-   */
-  extractHeadings(html) {
-    if (!html) return [];
-    
-    const headingRegex = /<h([1-6])[^>]*>(.*?)<\/h[1-6]>/gi;
-    const headings = [];
-    let match;
-    
-    while ((match = headingRegex.exec(html)) !== null) {
-      headings.push({
-        level: parseInt(match[1]),
-        text: match[2].replace(/<[^>]*>/g, '').trim()
-      });
-    }
-    
-    return headings;
-  }
-
   /**
    * Calculate estimated reading time
    * @param {string} content - Text content
@@ -0,0 +1,220 @@
+import { renderVariables } from './prompt-template.js';
+
+// Keys in a criterion's config that describe it rather than parameterise it
+const DESCRIPTIVE_KEYS = ['name', 'icon', 'weight', 'description', 'checks', 'notes', 'baseline_expectations'];
+
+/**
+ * Single source of truth for the evaluation criteria declared in an
+ * evaluation config. Produces the prompt sections, the JSON output
+ * template, the weighted overall score and the report metrics.
+ */
+class CriteriaModel {
+  /**
+   * @param {Object} evaluationConfig - Evaluation configuration with evaluation_criteria
+   */
+  constructor(evaluationConfig) {
+    if (!evaluationConfig || !Array.isArray(evaluationConfig.evaluation_criteria)) {
+      throw new Error('Evaluation config with evaluation_criteria is required');
+    }
+
+    const entries = evaluationConfig.evaluation_criteria.map(criterion => {
+      const key = Object.keys(criterion)[0];
+      return { key, config: criterion[key] || {} };
+    });
+
+    // Weights are normalised so configs don't have to sum to exactly 1
+    const totalWeight = entries.reduce((sum, { config }) => sum + (Number(config.weight) || 0), 0);
+    if (totalWeight <= 0) {
+      throw new Error('Evaluation config: criteria weights must add up to more than 0');
+    }
+
+    // Criteria text may use the prompt variables, e.g. "Matches {{audience}} interests"
+    const variables = evaluationConfig.prompt?.variables || {};
+    const render = (key, text) => renderVariables(text, variables, `criterion '${key}'`);
+
+    this.criteria = entries.map(({ key, config }) => ({
+      key,
+      outputKey: key.endsWith('_score') ? key : `${key}_score`,
+      name: render(key, config.name || this.formatName(key)),
+      icon: config.icon || '',
+      weight: (Number(config.weight) || 0) / totalWeight,
+      description: render(key, config.description || ''),
+      checks: (config.checks || []).map(text => render(key, text)),
+      notes: (config.notes || []).map(text => render(key, text)),
+      baselineExpectations: (config.baseline_expectations || []).map(text => render(key, text)),
+      parameters: Object.fromEntries(
+        Object.entries(config).filter(([field]) => !DESCRIPTIVE_KEYS.includes(field))
+      )
+    }));
+  }
+
+  formatName(key) {
+    return key.replace(/_score$/, '').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  }
+
+  /**
+   * Weight as a display percentage, e.g. 0.2 -> 20, 0.2727 -> 27.3
+   */
+  formatWeight(weight) {
+    return Math.round(weight * 1000) / 10;
+  }
+
+  /**
+   * Get the criterion for an evaluation key
+   */
+  get(outputKey) {
+    return this.criteria.find(criterion => criterion.outputKey === outputKey);
+  }
+
+  get outputKeys() {
+    return this.criteria.map(criterion => criterion.outputKey);
+  }
+
+  /**
+   * Build the "EVALUATION CRITERIA" section of the prompt
+   * @returns {string} Prompt text
+   */
+  buildCriteriaSection() {
+    return this.criteria.map((criterion, index) => {
+      const heading = [criterion.icon, `${index + 1}.`, criterion.name, `(${this.formatWeight(criterion.weight)}%)`]
+        .filter(Boolean)
+        .join(' ');
+      const lines = [heading];
+
+      if (criterion.description) {
+        lines.push(criterion.description.endsWith('.') ? criterion.description : `${criterion.description}.`);
+      }
+      criterion.checks.forEach(check => lines.push(`✅ ${check}`));
+
+      const parameters = Object.entries(criterion.parameters);
+      if (parameters.length > 0) {
+        lines.push(`Targets: ${parameters.map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(', ') : value}`).join('; ')}`);
+      }
+
+      if (criterion.notes.length > 0) {
+        lines.push('', ...criterion.notes);
+      }
+
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Build the "EVALUATION EXPECTATIONS" section from baseline_expectations
+   * @returns {string} Prompt text (empty if no criterion declares expectations)
+   */
+  buildExpectationsSection() {
+    const withExpectations = this.criteria.filter(criterion => criterion.baselineExpectations.length > 0);
+    if (withExpectations.length === 0) return '';
+
+    return withExpectations
+      .map(criterion => `${criterion.key.toUpperCase()}:\n${criterion.baselineExpectations.map(exp => `- ${exp}`).join('\n')}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Build the scoring formula line, e.g. "(EEAT Score × 0.20) + ..."
+   */
+  buildFormula() {
+    return this.criteria
+      .map(criterion => `(${criterion.name} × ${criterion.weight.toFixed(2)})`)
+      .join(' + ');
+  }
+
+  /**
+   * Build the weight list used in the prompt guidelines
+   */
+  buildWeightList() {
+    return this.criteria
+      .map(criterion => `   - ${criterion.name}: ${this.formatWeight(criterion.weight)}%`)
+      .join('\n');
+  }
+
+  /**
+   * Build the JSON output template the model must fill in
+   * @returns {string} Annotated JSON template
+   */
+  buildOutputTemplate() {
+    const dimensions = this.criteria.map(criterion => `  "${criterion.outputKey}": {
+    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
+    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
+    "strengths": [], // Detailed overview of the strengths of the content
+    "weaknesses": [], // Detailed overview of the weaknesses of the content
+    "recommendations": [] // Actionable recommendations for improvement
+  },`);
+
+    return `{
+${dimensions.join('\n')}
+  "overall_score": null, // DO NOT calculate - will be calculated automatically using the correct weights
+  "optimization_recommendation": "", // Detailed optimization recommendation
+  "priority_recommendations": [] // Priority recommendations including actionable recommendations for improvement
+}`;
+  }
+
+  /**
+   * Build the JSON Schema every evaluation must satisfy. Also sent to the
+   * provider as the structured-output schema where supported.
+   * @returns {Object} JSON Schema
+   */
+  buildJsonSchema() {
+    const stringList = { type: 'array', items: { type: 'string' } };
+    const dimension = {
+      type: 'object',
+      required: ['score', 'analysis', 'strengths', 'weaknesses', 'recommendations'],
+      properties: {
+        score: { type: 'number', minimum: 0, maximum: 100 },
+        analysis: { type: 'string' },
+        strengths: stringList,
+        weaknesses: stringList,
+        recommendations: stringList
+      }
+    };
+
+    return {
+      type: 'object',
+      required: [...this.outputKeys, 'optimization_recommendation', 'priority_recommendations'],
+      properties: {
+        ...Object.fromEntries(this.outputKeys.map(key => [key, dimension])),
+        optimization_recommendation: { type: 'string' },
+        priority_recommendations: stringList
+      }
+    };
+  }
+
+  /**
+   * Calculate the weighted overall score
+   * @param {Object} evaluation - Parsed evaluation with a { score } per dimension
+   * @returns {Object} Rounded overall score and per-dimension breakdown
+   */
+  calculateOverallScore(evaluation) {
+    const breakdown = this.criteria.map(criterion => {
+      const score = evaluation[criterion.outputKey]?.score || 0;
+      return {
+        key: criterion.outputKey,
+        score,
+        weight: criterion.weight,
+        weighted: score * criterion.weight
+      };
+    });
+
+    const total = breakdown.reduce((sum, item) => sum + item.weighted, 0);
+    return {
+      overall_score: Math.round(total),
+      breakdown
+    };
+  }
+
+  /**
+   * Metrics for the report score table
+   * @returns {Array} { key, name, weight } with weight as a percentage
+   */
+  getMetrics() {
+    return this.criteria.map(criterion => ({
+      key: criterion.outputKey,
+      name: criterion.name,
+      weight: this.formatWeight(criterion.weight)
+    }));
+  }
+}
+
+export default CriteriaModel;
@@ -1,26 +1,62 @@
-import axios from 'axios';
+import { createProvider } from './llm/index.js';
+import CriteriaModel from './criteria-model.js';
+import { validateSchema } from './utils/validators.js';
+import { hashContent, estimateTokens } from './utils/helpers.js';
+import { summarizeRevisions, describeLastMeaningfulUpdate } from './utils/revision-analysis.js';
+import { summarizeLinkAudit } from './utils/link-audit.js';
+import { summarizeImageAudit } from './utils/image-audit.js';
+import { summarizeReadability } from './utils/readability.js';
+import { summarizeKeywordAnalysis } from './utils/keyword-analysis.js';
+import { splitIntoSections, packSections } from './utils/content-sections.js';
+import { median } from './utils/statistics.js';
+
+const LONG_CONTENT_MODES = ['sections', 'truncate', 'off'];
+// Below this, section prompts would be mostly boilerplate
+const MIN_CONTENT_TOKENS = 500;
 
 class GeminiClient {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    if (!this.apiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
+  /**
+   * @param {Object} options - LLM selection
+   * @param {string} [options.provider] - 'gemini', 'openai', 'ollama' or 'mock' (default: gemini)
+   * @param {Object} [options.fixtures] - Record/replay settings, see createProvider()
+   * @param {string} [options.model] - Model name (default: the provider's default)
+   * @param {number} [options.maxRepairAttempts] - How often an invalid response is sent back for repair (default: 2)
+   * @param {TaskPool} [options.pool] - Pool that throttles requests to the provider
+   * @param {ResponseCache} [options.cache] - Cache for finished evaluations
+   * @param {CostTracker} [options.costTracker] - Prices token usage and keeps run totals
+   * @param {number} [options.promptBudget] - Estimated prompt tokens above which long content handling kicks in (default: 10000)
+   * @param {string} [options.longContent] - 'sections', 'truncate' or 'off' (default: sections)
+   * @param {number} [options.samples] - How many times each post is evaluated (default: 1)
+   * @param {number} [options.spreadThreshold] - Score spread above which a dimension is low confidence (default: 10)
+   */
+  constructor(options = {}) {
+    this.provider = createProvider(options);
+    this.maxRepairAttempts = options.maxRepairAttempts ?? 2;
+    this.pool = options.pool || null;
+    this.cache = options.cache || null;
+    this.costTracker = options.costTracker || null;
+    this.promptBudget = options.promptBudget || 10000;
+    this.longContent = options.longContent || 'sections';
+    if (!LONG_CONTENT_MODES.includes(this.longContent)) {
+      throw new Error(`Unknown long content mode '${this.longContent}'. Available: ${LONG_CONTENT_MODES.join(', ')}`);
     }
-
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent';
-    this.apiClient = axios.create({
-      timeout: 180000, // 3 minutes
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'SEO-Blog-Checker/1.0.0'
-      }
-    });
+    this.samples = options.samples ?? 1;
+    this.spreadThreshold = options.spreadThreshold ?? 10;
+    if (!Number.isInteger(this.samples) || this.samples < 1) {
+      throw new Error(`Invalid number of samples '${options.samples}': expected a whole number of at least 1`);
+    }
+    this.generationConfig = {
+      temperature: 0.3,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 16384
+    };
   }
 
   async evaluate(extractedContent, evaluationConfig) {
     try {
-      console.log('[Gemini] Building evaluation prompt...');
-      console.log('[Gemini] Content to analyze:', {
+      console.log('[LLM] Building evaluation prompt...');
+      console.log('[LLM] Content to analyze:', {
         title: extractedContent.title,
         url: extractedContent.url,
         contentLength: extractedContent.content?.length || 0,
@@ -29,407 +65,535 @@ class GeminiClient {
       });
       
       
-      const prompt = this.buildEvaluationPrompt(extractedContent, evaluationConfig);
-      
-      console.log('[Gemini] Sending request to API...');
-      const response = await this.sendRequest(prompt);
+      const cacheParts = {
+        provider: this.provider.name,
+        model: this.provider.model,
+        promptVersion: this.getPromptVersion(evaluationConfig),
+        contentHash: hashContent(extractedContent),
+        samples: this.samples,
+        // A truncated or sectioned evaluation differs from a whole-post one
+        longContent: this.longContent,
+        promptBudget: this.promptBudget
+      };
+      const cacheKey = this.cache ? this.cache.buildKey(cacheParts) : null;
+      if (cacheKey) {
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+          console.log(`[LLM] Using cached evaluation from ${cached.stored_at}`);
+          this.costTracker?.record(cached.evaluation.model, null, { cached: true });
+          return {
+            ...cached.evaluation,
+            usage: { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+            cost: 0,
+            cache: { hit: true, stored_at: cached.stored_at }
+          };
+        }
+      }
       
-      // console.log('[Gemini] Full response structure:', JSON.stringify(response, null, 2));
-      console.log('[Gemini] Response received:', {
-        hasContent: !!response.candidates?.[0]?.content,
-        contentLength: response.candidates?.[0]?.content?.parts?.[0]?.text?.length || 0
-      });
+      const criteria = new CriteriaModel(evaluationConfig);
+      const schema = criteria.buildJsonSchema();
+      const template = this.getTemplate(evaluationConfig);
+      const spec = { criteria, schema, template };
+      const prompt = this.buildEvaluationPrompt(extractedContent, criteria, template);
       
-      console.log('[Gemini] Raw response text:', response.candidates?.[0]?.content?.parts?.[0]?.text);
+      let result;
+      if (this.samples > 1) {
+        console.log(`[LLM] Running ${this.samples} samples...`);
+        const samples = await Promise.all(
+          Array.from({ length: this.samples }, () => this.evaluateOnce(extractedContent, spec, prompt))
+        );
+        result = this.combineSamples(samples, criteria);
+      } else {
+        result = await this.evaluateOnce(extractedContent, spec, prompt);
+      }
       
-      console.log('[Gemini] Parsing response...');
-      const evaluation = this.parseEvaluationResponse(response);
+      const { evaluation, model, usage } = result;
+      evaluation.provider = this.provider.name;
+      evaluation.model = model;
+      evaluation.prompt_version = template.id;
+      evaluation.usage = usage;
+      // Each request was added to the run totals as it came back; this is the evaluation's share
+      evaluation.cost = this.costTracker ? this.costTracker.price(model, usage) : null;
       
-      console.log('[Gemini] Evaluation scores:', {
+      console.log('[LLM] Evaluation scores:', {
         overall: evaluation.overall_score,
         scores: evaluation.scores
       });
+      console.log('[LLM] Token usage:', usage);
+      
+      if (cacheKey) {
+        await this.cache.set(cacheKey, evaluation, cacheParts);
+      }
 
       return evaluation;
     } catch (error) {
-      console.error('[Gemini] Evaluation error:', {
+      console.error('[LLM] Evaluation error:', {
         message: error.message,
         response: error.response?.data,
         stack: error.stack
       });
-      throw new Error(`Gemini AI evaluation failed: ${error.message}\n${error.stack || ''}`);
+      throw new Error(`${this.provider.displayName} evaluation failed: ${error.message}\n${error.stack || ''}`);
     }
   }
 
-  buildEvaluationPrompt(extractedContent, evaluationConfig) {
-    return `You are an SEO expert evaluating Hostelworld blog content to identify high-impact optimization opportunities. Your goal is to help improve existing content performance, increase organic visibility, and ensure AI-friendliness for modern search features.
-
-EVALUATION OBJECTIVE:
-- Identify strengths of the content and call them out for learning purposes
-- Identify specific improvements for blog content content
-- Focus on updating existing content rather than suggesting new content creation
-- Ensure content is optimized for AI features (snippets, chatbots, voice)
-- Improve conversion potential through better user experience
-- Maintain high standards even for well-performing articles
-
-CRITICAL RULES:
-1. NEVER assume or invent metadata - if a field is missing, explicitly state "Not found"
-2. NEVER give vague recommendations like "improve SEO" or "make more engaging"
-3. NEVER skip analysis for high-performing articles - they still need optimization
-4. NEVER deviate from the scoring formula and weightings
-5. NEVER group feedback - provide specific analysis per category
-
-SCORING CALIBRATION:
-- A score of 50-60/100 represents GOOD content that performs well
-- A score of 70-80/100 represents EXCELLENT content with minor optimization opportunities  
-- A score of 80+/100 represents EXCEPTIONAL content that's best-in-class
-- Only give scores below 30/100 for genuinely poor content with major fundamental issues
-- Comprehensive, well-written content with good metadata should score 60+/100
-
-${evaluationConfig && evaluationConfig.evaluation_criteria ? 
-`EVALUATION EXPECTATIONS:
-${evaluationConfig.evaluation_criteria.map(criteria => {
-  const key = Object.keys(criteria)[0];
-  const config = criteria[key];
-  return `${key.toUpperCase()}:
-${config.baseline_expectations ? config.baseline_expectations.map(exp => `- ${exp}`).join('\n') : '- Standard content evaluation criteria'}`;
-}).join('\n\n')}` : ''}
-5. ALWAYS call out discrepancies in language on localisation or translations. Eg: if a post is written in English, the meta description should be in English too.
-
-REQUIRED APPROACH:
-1. Point to exact content issues using quotes and examples
-2. Provide specific, measurable improvements (e.g., "Reduce meta description from 180 to 155 characters")
-3. Link every weakness to a concrete fix with expected impact
-4. Flag any missing metadata or structural elements
-5. Include improvement opportunities even for top-performing content
-6. RECOGNIZE content strengths - acknowledge comprehensive coverage, good structure, expertise
-7. CONSIDER content length and depth as major positive factors (1000+ words = substantial value)
-8. CREDIT proper authorship, recent updates, and professional presentation
-
-TONE GUIDELINES:
-- Use "could be enhanced" instead of "is failing"
-- Use "optimization opportunity" instead of "critical fix required"
-- Use "consider adding" instead of "must add immediately"
-- Recognize that good content with minor issues should score 60-75/100
-- Technical scores should reflect actual functionality, not perfectionist standards
-
-CONTENT TO ANALYZE:
-Title: ${extractedContent.title || 'Not found'}
-Content: ${extractedContent.content || 'Not found'}
-Meta Description: ${extractedContent.meta_description || 'Not found'}
-Keywords: ${extractedContent.keywords ? extractedContent.keywords.join(', ') : 'Not found'}
-URL: ${extractedContent.url || 'Not found'}
-Last Modified: ${extractedContent.last_modified || 'Not found'}
-
-SEO METADATA:
-SEO Title: ${extractedContent.yoast_seo_title || 'Not found'}
-Canonical URL: ${extractedContent.yoast_canonical || 'Not found'}
-Focus Keyword: ${extractedContent.yoast_focus_keyword || 'Not found'}
-Robots (noindex): ${extractedContent.yoast_noindex ? 'Yes' : 'No'}
-Robots (nofollow): ${extractedContent.yoast_nofollow ? 'Yes' : 'No'}
-
-SOCIAL MEDIA METADATA:
-Open Graph Title: ${extractedContent.og_title || 'Not found'}
-Open Graph Description: ${extractedContent.og_description || 'Not found'}
-Open Graph Image: ${extractedContent.og_image || 'Not found'}
-Twitter Title: ${extractedContent.twitter_title || 'Not found'}
-Twitter Description: ${extractedContent.twitter_description || 'Not found'}
-Twitter Image: ${extractedContent.twitter_image || 'Not found'}
-
-TECHNICAL SEO:
-Canonical URL: ${extractedContent.canonical_url || 'Not found'}
-Robots Directive: ${extractedContent.robots || 'Not found'}
-Word Count: ${extractedContent.word_count || 'Not found'}
-Headers: ${extractedContent.headers ? extractedContent.headers.map(h => `H${h.level}: ${h.text}`).join(', ') : 'Not found'}
-
-EVALUATION CRITERIA:
-
-🧠 1. EEAT Score (20%)
-Evaluates trustworthiness, experience, and authority.
-✅ Real user quotes or experiences
-✅ UGC or traveller contributions
-✅ Specialist insights (e.g., local guides, HW experts)
-✅ HW brand confidence markers (e.g., proprietary data, staff recommendations)
-✅ Author/attribution or source references
-
-🔧 2. Technical Score (10%)
-Assesses SEO integrity and structure.
-✅ Metadata present and optimised
-✅ Language consistency across ALL metadata fields (title, description, OG tags, Twitter tags)
-✅ Logical heading structure (H1–H3)
-✅ No broken internal or external links
-✅ Schema, canonical, and hreflang present (if applicable)
-✅ Proper internal linking to HW pages
-
-**CRITICAL**: Always check if metadata language matches content language. Flag any mismatches between English content and Portuguese metadata or vice versa.
-
-🎯 3. Relevance for User Score (20%)
-Evaluates how well the article matches user needs and intent.
-✅ Answers top queries or relevant search topics
-✅ Matches Gen Z interests (tone, hostels, experiences)
-✅ Adds genuine value: what to do, where to go, what to expect
-✅ Covers the topic comprehensively, not shallowly
-
-✍️ 4. Text Quality Score (10%)
-Evaluates clarity, grammar, localisation, and Gen Z tone.
-✅ Correct grammar and spelling
-✅ Clear formatting (short paras, bullets)
-✅ Localised terms or translations used naturally
-✅ Consistent Gen Z-appropriate tone and readability
-
-🤖 5. AI Optimisation Readiness Score (25%)
-Evaluates structural readiness for AI enrichment and long-tail discovery.
-✅ Includes structured FAQs or common questions
-✅ Targets long-tail or intent-specific keywords
-✅ Clean use of headings, lists, answer formats
-✅ Designed for snippet or voice search use
-✅ Opportunities for AI-based content enrichment (e.g., widgets, expandable lists, internal linking modules)
-
-🕒 6. Freshness Score (15%)
-Measures how up-to-date and timely the content is.
-✅ Content updated in the last 6–12 months
-✅ References current year, upcoming events, or timely seasonal content
-✅ Avoids outdated mentions (e.g., "2022 festivals", old hostels)
-✅ Services and locations mentioned are still open
-✅ Signs of recent editorial activity (e.g., updated FAQs, metadata, added sections)
-
-SCORING FORMULA AND WEIGHTS:
-📊 Final Quality Score = (EEAT × 0.20) + (Technical × 0.10) + (Relevance × 0.20) + (Text Quality × 0.10) + (AI Optimisation × 0.25) + (Freshness × 0.15)
-
-IMPORTANT GUIDELINES:
-1. ALWAYS use these exact weights in your analysis:
-   - EEAT Score: 20%
-   - Technical Score: 10%
-   - Relevance Score: 20%
-   - Text Quality Score: 10%
-   - AI Optimisation Score: 25%
-   - Freshness Score: 15%
-2. MANDATORY: Analyze the provided metadata fields (SEO Title, Canonical URL, Focus Keyword, Open Graph Title/Description, Twitter Title/Description, Word Count, Headers)
-3. MANDATORY: Compare content language vs metadata language - flag ANY inconsistencies
-4. Flag any missing metadata - don't assume it exists
-5. Give specific examples in all recommendations
-6. Include point values for improvements
-7. Analyze high-scoring sections too
-8. Keep feedback clear and actionable
-
-LANGUAGE CONSISTENCY CHECK REQUIRED:
-- Compare content language with SEO Title language
-- Compare content language with Open Graph metadata language  
-- Compare content language with Twitter metadata language
-- ALWAYS mention any language mismatches in your analysis
-
-Provide your analysis in this format (ensure proper JSON formatting):
-
-{
-  "eeat_score": {
-    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
-    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
-    "strengths": [], // Detailed overview of the strengths of the content
-    "weaknesses": [], // Detailed overview of the weaknesses of the content
-    "recommendations": [] // Actionable recommendations for improvement
-  },
-  "technical_score": {
-    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
-    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
-    "strengths": [], // Detailed overview of the strengths of the content
-    "weaknesses": [], // Detailed overview of the weaknesses of the content
-    "recommendations": [] // Actionable recommendations for improvement
-  },
-  "relevance_score": {
-    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
-    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
-    "strengths": [], // Detailed overview of the strengths of the content
-    "weaknesses": [], // Detailed overview of the weaknesses of the content
-    "recommendations": [] // Actionable recommendations for improvement
-  },
-  "text_quality_score": {
-    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
-    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
-    "strengths": [], // Detailed overview of the strengths of the content
-    "weaknesses": [], // Detailed overview of the weaknesses of the content
-    "recommendations": [] // Actionable recommendations for improvement
-  },
-  "ai_optimization_score": {
-    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
-    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
-    "strengths": [], // Detailed overview of the strengths of the content
-    "weaknesses": [], // Detailed overview of the weaknesses of the content
-    "recommendations": [] // Actionable recommendations for improvement
-  },
-  "freshness_score": {
-    "score": null, // calculate score here based on the criteria and justify score with EXPLICIT examples referencing the content shared for analysis
-    "analysis": "", // Detailed analysis justifying the score with EXPLICIT references to the content
-    "strengths": [], // Detailed overview of the strengths of the content
-    "weaknesses": [], // Detailed overview of the weaknesses of the content
-    "recommendations": [] // Actionable recommendations for improvement
-  },
-  "overall_score": null, // DO NOT calculate - will be calculated automatically using the correct weights
-  "optimization_recommendation": "", // Detailed optimization recommendation
-  "priority_recommendations": [] // Priority recommendations including actionable recommendations for improvement
-}`;
+  /**
+   * Run one evaluation of a post, handling posts over the prompt budget
+   * @param {Object} extractedContent - Extracted post content
+   * @param {Object} spec - { criteria, schema, template } for the evaluation config
+   * @param {string} prompt - Full evaluation prompt
+   * @returns {Promise<Object>} { evaluation, model, usage }
+   */
+  async evaluateOnce(extractedContent, spec, prompt) {
+    const promptTokens = estimateTokens(prompt);
+    if (this.longContent === 'off' || promptTokens <= this.promptBudget) {
+      return this.runEvaluation(prompt, spec.criteria, spec.schema);
+    }
+    if (this.longContent === 'truncate') {
+      return this.evaluateTruncated(extractedContent, spec, promptTokens);
+    }
+    return this.evaluateInSections(extractedContent, spec, promptTokens);
   }
 
-  async sendRequest(prompt) {
-    const requestData = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.3,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 16384
-      }
+  /**
+   * Combine repeated evaluations of the same post. Each dimension gets the
+   * median of its sample scores, and dimensions whose scores spread more
+   * than the threshold are flagged as low confidence. Written analysis is
+   * taken from the sample closest to the medians.
+   * @param {Array} samples - Results of evaluateOnce()
+   * @param {CriteriaModel} criteria - Criteria from the evaluation config
+   * @returns {Object} { evaluation, model, usage }
+   */
+  combineSamples(samples, criteria) {
+    const evaluations = samples.map(sample => sample.evaluation);
+    const dimensions = {};
+    
+    for (const key of criteria.outputKeys) {
+      const scores = evaluations.map(evaluation => evaluation[key].score);
+      const spread = Math.max(...scores) - Math.min(...scores);
+      dimensions[key] = {
+        median: median(scores),
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+        spread,
+        scores,
+        low_confidence: spread > this.spreadThreshold
+      };
+    }
+    
+    const distance = evaluation => criteria.outputKeys
+      .reduce((sum, key) => sum + Math.abs(evaluation[key].score - dimensions[key].median), 0);
+    const closest = evaluations.reduce((best, evaluation) => (distance(evaluation) < distance(best) ? evaluation : best));
+    
+    const evaluation = { ...closest };
+    for (const key of criteria.outputKeys) {
+      evaluation[key] = { ...closest[key], score: dimensions[key].median };
+    }
+    evaluation.overall_score = criteria.calculateOverallScore(evaluation).overall_score;
+    evaluation.sampling = {
+      samples: samples.length,
+      spread_threshold: this.spreadThreshold,
+      overall_scores: evaluations.map(sample => sample.overall_score),
+      dimensions,
+      low_confidence: criteria.outputKeys.filter(key => dimensions[key].low_confidence)
     };
+    
+    if (evaluation.sampling.low_confidence.length > 0) {
+      console.warn(`[LLM] Low-confidence dimensions (spread over ${this.spreadThreshold} points):`, evaluation.sampling.low_confidence);
+    }
+    
+    return {
+      evaluation,
+      model: samples[0].model,
+      usage: this.sumUsage(samples.map(sample => sample.usage))
+    };
+  }
 
-    try {
-      console.log('[Gemini] Sending request to:', this.baseUrl);
-      console.log('[Gemini] Request config:', {
-        temperature: requestData.generationConfig.temperature,
-        maxOutputTokens: requestData.generationConfig.maxOutputTokens
+  /**
+   * Send a prompt and parse the evaluation. Invalid or truncated responses
+   * are sent back with the validation errors, up to maxRepairAttempts times.
+   * @param {string} prompt - Evaluation prompt
+   * @param {CriteriaModel} criteria - Criteria from the evaluation config
+   * @param {Object} schema - JSON Schema the evaluation must satisfy
+   * @returns {Promise<Object>} { evaluation, model, usage }
+   */
+  async runEvaluation(prompt, criteria, schema) {
+    console.log('[LLM] Sending request to API...');
+    let response = await this.sendRequest(prompt, { responseSchema: schema });
+    this.recordUsage(response);
+    // Repair attempts are billed too, so usage is summed over every request
+    let usage = this.addUsage(null, response.usage);
+    const repairedErrors = [];
+    
+    for (let attempt = 0; ; attempt++) {
+      console.log('[LLM] Response received:', {
+        model: response.model,
+        finishReason: response.finishReason,
+        contentLength: response.text.length
       });
+      
+      try {
+        console.log('[LLM] Parsing response...');
+        const evaluation = this.parseEvaluationResponse(response, criteria, schema);
+        evaluation.validation = {
+          valid: true,
+          repair_attempts: attempt,
+          repaired_errors: repairedErrors
+        };
+        return { evaluation, model: response.model, usage };
+      } catch (error) {
+        const errors = error.validationErrors || [error.message];
+        if (attempt >= this.maxRepairAttempts) {
+          throw new Error(`Response still invalid after ${attempt} repair attempt(s): ${errors.slice(0, 5).join('; ')}`);
+        }
+        
+        console.warn(`[LLM] Invalid response (repair attempt ${attempt + 1}/${this.maxRepairAttempts}):`, errors.slice(0, 5));
+        repairedErrors.push(...errors);
+        const repairPrompt = this.buildRepairPrompt(prompt, response, errors);
+        response = await this.sendRequest(repairPrompt, { responseSchema: schema });
+        this.recordUsage(response);
+        usage = this.addUsage(usage, response.usage);
+      }
+    }
+  }
 
-      const response = await this.apiClient.post(
-        `${this.baseUrl}?key=${this.apiKey}`,
-        requestData
-      );
+  /**
+   * Add a response to the run's cost totals as soon as it arrives, so
+   * requests for evaluations that later fail still count against --max-cost
+   * @param {Object} response - Normalized provider response
+   */
+  recordUsage(response) {
+    this.costTracker?.record(response.model, this.addUsage(null, response.usage));
+  }
 
-      if (!response.data || !response.data.candidates || !response.data.candidates[0]) {
-        console.error('[Gemini] Invalid response format:', response.data);
-        throw new Error('Invalid response format from Gemini API');
-      }
+  /**
+   * Tokens left for post content once the rest of the prompt is counted
+   * @param {Object} extractedContent - Extracted post content
+   * @param {number} promptTokens - Estimated tokens of the full prompt
+   * @returns {number} Content token budget
+   */
+  getContentBudget(extractedContent, promptTokens) {
+    // Leave room for the section note added to each section prompt
+    const overhead = promptTokens - estimateTokens(extractedContent.content) + 150;
+    const budget = this.promptBudget - overhead;
+    if (budget < MIN_CONTENT_TOKENS) {
+      throw new Error(`Prompt budget of ${this.promptBudget} tokens is too small: the prompt uses about ${overhead} tokens before any content is added`);
+    }
+    return budget;
+  }
 
-      return response.data;
-    } catch (error) {
-      console.error('[Gemini] Request error:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: error.response?.data,
-        message: error.message,
-        code: error.code
-      });
+  /**
+   * Evaluate a long post with its content cut to fit the prompt budget
+   */
+  async evaluateTruncated(extractedContent, { criteria, schema, template }, promptTokens) {
+    const budget = this.getContentBudget(extractedContent, promptTokens);
+    const totalWords = extractedContent.content.split(/\s+/).filter(Boolean).length;
+    const [kept] = packSections([{ title: 'Content', text: extractedContent.content, word_count: totalWords }], budget);
+    console.warn(`[LLM] Prompt is about ${promptTokens} tokens (budget ${this.promptBudget}), evaluating the first ${kept.word_count} of ${totalWords} words`);
+    
+    const prompt = this.buildEvaluationPrompt({ ...extractedContent, content: kept.text }, criteria, template);
+    const result = await this.runEvaluation(prompt, criteria, schema);
+    result.evaluation.truncated = { evaluated_words: kept.word_count, total_words: totalWords };
+    return result;
+  }
 
-      if (error.response) {
-        if (error.response.status === 429) {
-          throw new Error('Gemini API rate limit exceeded. Please try again later.');
-        }
-        if (error.response.status === 400) {
-          const errorMsg = error.response.data.error?.message || 'Invalid request';
-          throw new Error(`Gemini API request failed: ${errorMsg}`);
-        }
-        if (error.response.status === 404) {
-          throw new Error(`Gemini API endpoint not found. Please check the API key and endpoint URL.`);
+  /**
+   * Evaluate a long post section by section (split at H2 headings) and
+   * merge the section results into one evaluation
+   */
+  async evaluateInSections(extractedContent, { criteria, schema, template }, promptTokens) {
+    const budget = this.getContentBudget(extractedContent, promptTokens);
+    const chunks = packSections(splitIntoSections(extractedContent.content, extractedContent.headers), budget);
+    const totalWords = chunks.reduce((sum, chunk) => sum + chunk.word_count, 0);
+    console.log(`[LLM] Prompt is about ${promptTokens} tokens (budget ${this.promptBudget}), evaluating in ${chunks.length} sections`);
+    
+    // Sections share the LLM pool, so they run side by side within its limits
+    const results = await Promise.all(chunks.map((chunk, index) => {
+      const section = { ...chunk, index: index + 1, total: chunks.length, total_words: totalWords };
+      const prompt = this.buildEvaluationPrompt({ ...extractedContent, content: chunk.text }, criteria, template, section);
+      return this.runEvaluation(prompt, criteria, schema);
+    }));
+    
+    const evaluation = this.mergeSectionEvaluations(chunks, results.map(result => result.evaluation), criteria);
+    return { evaluation, model: results[0].model, usage: this.sumUsage(results.map(result => result.usage)) };
+  }
+
+  /**
+   * Combine section evaluations: each dimension score is the word-weighted
+   * average of the section scores, and findings are taken from every section
+   * @param {Array} chunks - Sections as { title, word_count }
+   * @param {Array} evaluations - Parsed evaluation per section
+   * @param {CriteriaModel} criteria - Criteria from the evaluation config
+   * @returns {Object} Merged evaluation with a sections list
+   */
+  mergeSectionEvaluations(chunks, evaluations, criteria) {
+    const totalWords = chunks.reduce((sum, chunk) => sum + chunk.word_count, 0) || 1;
+    const merged = {};
+    
+    for (const key of criteria.outputKeys) {
+      const weightedScore = evaluations.reduce((sum, evaluation, i) => sum + evaluation[key].score * chunks[i].word_count, 0);
+      merged[key] = {
+        score: Math.round(weightedScore / totalWords),
+        analysis: evaluations.map((evaluation, i) => `[${chunks[i].title}] ${evaluation[key].analysis}`).join('\n\n'),
+        strengths: this.interleaveUnique(evaluations.map(evaluation => evaluation[key].strengths), 6),
+        weaknesses: this.interleaveUnique(evaluations.map(evaluation => evaluation[key].weaknesses), 6),
+        recommendations: this.interleaveUnique(evaluations.map(evaluation => evaluation[key].recommendations), 6)
+      };
+    }
+    
+    merged.overall_score = criteria.calculateOverallScore(merged).overall_score;
+    merged.optimization_recommendation = evaluations
+      .map((evaluation, i) => `[${chunks[i].title}] ${evaluation.optimization_recommendation}`)
+      .join('\n\n');
+    merged.priority_recommendations = this.interleaveUnique(evaluations.map(evaluation => evaluation.priority_recommendations), 5);
+    merged.validation = {
+      valid: true,
+      repair_attempts: evaluations.reduce((sum, evaluation) => sum + evaluation.validation.repair_attempts, 0),
+      repaired_errors: evaluations.flatMap(evaluation => evaluation.validation.repaired_errors)
+    };
+    merged.sections = evaluations.map((evaluation, i) => ({
+      title: chunks[i].title,
+      word_count: chunks[i].word_count,
+      overall_score: evaluation.overall_score,
+      scores: Object.fromEntries(criteria.outputKeys.map(key => [key, evaluation[key].score])),
+      notes: evaluation.optimization_recommendation
+    }));
+    
+    return merged;
+  }
+
+  /**
+   * Take items from each list in turn so every section is represented,
+   * skipping duplicates, up to a limit
+   */
+  interleaveUnique(lists, limit) {
+    const items = [];
+    const longest = Math.max(0, ...lists.map(list => list?.length || 0));
+    for (let i = 0; i < longest && items.length < limit; i++) {
+      for (const list of lists) {
+        const item = list?.[i];
+        if (item && !items.includes(item) && items.length < limit) {
+          items.push(item);
         }
-        throw new Error(`Gemini API error (${error.response.status}): ${error.response.statusText}`);
       }
+    }
+    return items;
+  }
 
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error(`Cannot connect to Gemini API. Please check your internet connection.`);
-      }
-      if (error.code === 'ENOTFOUND') {
-        throw new Error(`Gemini API host not found. Please check the API endpoint URL.`);
-      }
+  /**
+   * Add a response's token usage to a running total
+   * @param {Object|null} total - Usage so far, or null to start a new total
+   * @param {Object|null} usage - Usage reported by the provider (null if unknown)
+   * @returns {Object} { requests, prompt_tokens, completion_tokens, total_tokens }
+   */
+  addUsage(total, usage) {
+    const sum = total || { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    return {
+      requests: sum.requests + 1,
+      prompt_tokens: sum.prompt_tokens + (usage?.prompt_tokens || 0),
+      completion_tokens: sum.completion_tokens + (usage?.completion_tokens || 0),
+      total_tokens: sum.total_tokens + (usage?.total_tokens || 0)
+    };
+  }
+
+  /**
+   * Add up the usage totals of several evaluations
+   * @param {Array} usages - Usage totals from addUsage()
+   * @returns {Object} Combined usage
+   */
+  sumUsage(usages) {
+    return usages.reduce((total, usage) => ({
+      requests: total.requests + usage.requests,
+      prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+      completion_tokens: total.completion_tokens + usage.completion_tokens,
+      total_tokens: total.total_tokens + usage.total_tokens
+    }), { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+
+  /**
+   * Get the prompt template loaded with an evaluation config
+   * @param {Object} evaluationConfig - Evaluation configuration from ConfigLoader
+   * @returns {PromptTemplate} Prompt template
+   */
+  getTemplate(evaluationConfig) {
+    if (!evaluationConfig?.prompt_template) {
+      throw new Error('Evaluation config has no prompt template. Load it with ConfigLoader.loadEvaluationConfig()');
+    }
+    return evaluationConfig.prompt_template;
+  }
+
+  /**
+   * Cache version of the prompt for a given evaluation config: the template's
+   * version plus a fingerprint of the template text, variables and criteria,
+   * so any change to what is sent produces a new version
+   * @param {Object} evaluationConfig - Evaluation configuration
+   * @returns {string} Prompt version
+   */
+  getPromptVersion(evaluationConfig) {
+    const template = this.getTemplate(evaluationConfig);
+    const fingerprint = hashContent({
+      template: template.fingerprint,
+      criteria: evaluationConfig.evaluation_criteria
+    }).substring(0, 12);
+    return `${template.id}:${fingerprint}`;
+  }
+
+  /**
+   * Build the evaluation prompt from the config's prompt template
+   * @param {Object} extractedContent - Extracted post content
+   * @param {CriteriaModel} criteria - Criteria from the evaluation config
+   * @param {PromptTemplate} template - Prompt template from the evaluation config
+   * @param {Object} [section] - Set when only one section of a long post is evaluated
+   * @returns {string} Prompt text
+   */
+  buildEvaluationPrompt(extractedContent, criteria, template, section = null) {
+    const expectations = criteria.buildExpectationsSection();
+    const sectionNote = section ? `SECTION BEING EVALUATED:
+This article is too long to evaluate in one pass. The content below is section ${section.index} of ${section.total} ("${section.title}"), ${section.word_count} of ${section.total_words} words. Score every dimension on this section only; the metadata below applies to the whole article. The other sections are evaluated separately and the results are combined.
+
+` : '';
+
+    return template.render({
+      'post.title': extractedContent.title || 'Not found',
+      'post.content': extractedContent.content || 'Not found',
+      'post.meta_description': extractedContent.meta_description || 'Not found',
+      'post.keywords': extractedContent.keywords?.length ? extractedContent.keywords.join(', ') : 'Not found',
+      'post.url': extractedContent.url || 'Not found',
+      'post.last_modified': extractedContent.last_modified || 'Not found',
+      'post.last_meaningful_update': describeLastMeaningfulUpdate(extractedContent.revision_history) || extractedContent.last_meaningful_update || 'Not found',
+      'post.revision_summary': summarizeRevisions(extractedContent.revision_history) || 'Not found',
+      'post.seo_title': extractedContent.yoast_seo_title || 'Not found',
+      'post.seo_canonical': extractedContent.yoast_canonical || 'Not found',
+      'post.focus_keyword': extractedContent.yoast_focus_keyword || 'Not found',
+      'post.noindex': extractedContent.yoast_noindex ? 'Yes' : 'No',
+      'post.nofollow': extractedContent.yoast_nofollow ? 'Yes' : 'No',
+      'post.og_title': extractedContent.og_title || 'Not found',
+      'post.og_description': extractedContent.og_description || 'Not found',
+      'post.og_image': extractedContent.og_image || 'Not found',
+      'post.twitter_title': extractedContent.twitter_title || 'Not found',
+      'post.twitter_description': extractedContent.twitter_description || 'Not found',
+      'post.twitter_image': extractedContent.twitter_image || 'Not found',
+      'post.canonical_url': extractedContent.canonical_url || 'Not found',
+      'post.robots': extractedContent.robots || 'Not found',
+      'post.word_count': extractedContent.word_count || 'Not found',
+      'post.headers': extractedContent.headers ? extractedContent.headers.map(h => `H${h.level}: ${h.text}`).join(', ') : 'Not found',
+      'post.link_audit': summarizeLinkAudit(extractedContent.link_audit) || 'Not found',
+      'post.image_audit': summarizeImageAudit(extractedContent.image_audit) || 'Not found',
+      'post.readability': summarizeReadability(extractedContent.readability) || 'Not found',
+      'post.keyword_analysis': summarizeKeywordAnalysis(extractedContent.keyword_analysis) || 'Not found',
+      'post.author_name': extractedContent.author_name || 'Not found',
+      'post.author_bio': extractedContent.author_bio || 'Not found',
+      'post.author_url': extractedContent.author_url || 'Not found',
+      'post.categories': extractedContent.category_names?.length ? extractedContent.category_names.join(', ') : 'Not found',
+      'post.tags': extractedContent.tag_names?.length ? extractedContent.tag_names.join(', ') : 'Not found',
+      'post.featured_image': this.describeFeaturedImage(extractedContent),
+      criteria: criteria.buildCriteriaSection(),
+      expectations: expectations ? `EVALUATION EXPECTATIONS:\n${expectations}` : '',
+      formula: criteria.buildFormula(),
+      weights: criteria.buildWeightList(),
+      output_format: criteria.buildOutputTemplate(),
+      section_note: sectionNote
+    });
+  }
+
+  /**
+   * Featured image summary for the prompt, e.g. "https://... (1200x630, alt text: "Lisbon at dusk")"
+   */
+  describeFeaturedImage(extractedContent) {
+    if (!extractedContent.featured_image_url) return 'Not found';
+    const size = extractedContent.featured_image_width && extractedContent.featured_image_height
+      ? `${extractedContent.featured_image_width}x${extractedContent.featured_image_height}, `
+      : '';
+    const alt = extractedContent.featured_image_alt ? `alt text: "${extractedContent.featured_image_alt}"` : 'no alt text';
+    return `${extractedContent.featured_image_url} (${size}${alt})`;
+  }
 
-      throw error;
+  /**
+   * Build a follow-up prompt asking the model to fix an invalid response
+   * @param {string} prompt - Original evaluation prompt
+   * @param {Object} response - The invalid provider response
+   * @param {Array<string>} errors - Parse or validation errors
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(prompt, response, errors) {
+    if (response.finishReason === 'length') {
+      return `${prompt}
+
+IMPORTANT: Your previous answer was cut off because it exceeded the output token limit. Respond again with the complete JSON object, keeping every analysis to 3-4 sentences and every list to at most 4 items.`;
     }
+
+    return `${prompt}
+
+IMPORTANT: Your previous answer could not be accepted because it did not match the required JSON format:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Your previous answer was:
+${response.text.substring(0, 20000)}
+
+Respond again with ONLY the corrected JSON object. Every score must be a number from 0 to 100 and every required field and list must be present.`;
   }
 
-  parseEvaluationResponse(response) {
+  /**
+   * Send a prompt through the configured provider
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Extra generation options
+   * @param {Object} [options.responseSchema] - JSON Schema for structured output
+   * @returns {Promise<Object>} Normalized provider response (see LLMProvider)
+   */
+  async sendRequest(prompt, options = {}) {
+    console.log('[LLM] Request config:', {
+      provider: this.provider.name,
+      model: this.provider.model,
+      temperature: this.generationConfig.temperature,
+      maxOutputTokens: this.generationConfig.maxOutputTokens,
+      structuredOutput: Boolean(options.responseSchema)
+    });
+
+    const generate = () => this.provider.generate(prompt, { ...this.generationConfig, ...options });
+    return this.pool ? this.pool.run(generate) : generate();
+  }
+
+  /**
+   * Parse the model's JSON, validate it and recalculate the overall score from config weights
+   * @param {Object} response - Normalized provider response
+   * @param {CriteriaModel} criteria - Criteria from the evaluation config
+   * @param {Object} schema - JSON Schema the evaluation must satisfy
+   * @returns {Object} Evaluation
+   */
+  parseEvaluationResponse(response, criteria, schema = criteria.buildJsonSchema()) {
     try {
-      // Check if response structure is valid
-      if (!response.candidates || !response.candidates[0] || !response.candidates[0].content) {
-        throw new Error('Invalid response structure from Gemini API');
-      }
-      
       // Check if response was truncated
-      if (response.candidates[0].finishReason === 'MAX_TOKENS') {
-        throw new Error('Gemini response was truncated due to token limit. Try reducing the prompt size or increasing maxOutputTokens.');
+      if (response.finishReason === 'length') {
+        throw new Error('LLM response was truncated due to token limit. Try reducing the prompt size or increasing maxOutputTokens.');
       }
       
-      if (!response.candidates[0].content.parts || !response.candidates[0].content.parts[0]) {
-        throw new Error('Response content parts are missing from Gemini API');
+      if (!response.text) {
+        throw new Error('Response text is missing from LLM provider');
       }
       
-      const text = response.candidates[0].content.parts[0].text;
-      console.log('[Gemini] Raw response text length:', text.length);
-      console.log('[Gemini] Raw response preview:', text.substring(0, 500) + '...');
-      
-      // Check for common JSON issues
-      if (!text.includes('{')) {
-        throw new Error('Response does not contain JSON object');
-      }
+      const text = response.text;
+      console.log('[LLM] Raw response text length:', text.length);
+      console.log('[LLM] Raw response preview:', text.substring(0, 500) + '...');
       
-      // Extract JSON from the response
-      let jsonStr = text.trim();
+      const evaluation = this.parseJson(text);
       
-      // Remove markdown code blocks if present
-      jsonStr = jsonStr.replace(/```json\s*\n?/g, '').replace(/```\s*$/g, '');
-      
-      // If there's text before/after the JSON, extract just the JSON
-      const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonStr = jsonMatch[0];
+      const validationErrors = validateSchema(evaluation, schema);
+      if (validationErrors.length > 0) {
+        const error = new Error(`Evaluation failed schema validation: ${validationErrors.slice(0, 5).join('; ')}`);
+        error.validationErrors = validationErrors;
+        throw error;
       }
 
-      // Basic cleanup - be more conservative to avoid breaking valid JSON
-      jsonStr = jsonStr
-        // Remove only C-style comments (not // which might be in URLs)
-        .replace(/\/\*[\s\S]*?\*\//g, '')
-        // Remove only control characters, preserve backticks and other formatting
-        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
-        // Normalize excessive whitespace but preserve single spaces
-        .replace(/\s{2,}/g, ' ');
-
-      // Skip complex array formatting - let JSON.parse handle valid JSON
-      console.log('[Gemini] Cleaned JSON length:', jsonStr.length);
-      console.log('[Gemini] Cleaned JSON preview:', jsonStr.substring(0, 200) + '...');
+      // Always calculate overall score using the configured weights (override the model's calculation)
+      const providedScore = evaluation.overall_score;
+      const { overall_score: calculatedScore, breakdown } = criteria.calculateOverallScore(evaluation);
+      evaluation.overall_score = calculatedScore;
       
-      // Try to parse and provide better error information if it fails
-      let evaluation;
-      try {
-        evaluation = JSON.parse(jsonStr);
-      } catch (parseError) {
-        console.error('[Gemini] JSON parse error at position:', parseError.message);
-        console.error('[Gemini] Context around error position:');
-        
-        // Extract position from error message
-        const positionMatch = parseError.message.match(/position (\d+)/);
-        if (positionMatch) {
-          const position = parseInt(positionMatch[1]);
-          const start = Math.max(0, position - 100);
-          const end = Math.min(jsonStr.length, position + 100);
-          console.error('[Gemini] Error context:', jsonStr.substring(start, end));
-        }
-        
-        throw new Error(`JSON parsing failed: ${parseError.message}`);
-      }
-
-      // Always calculate overall score using our correct weights (override Gemini's calculation)
-      const weights = {
-        eeat_score: 0.20,
-        technical_score: 0.10,
-        relevance_score: 0.20,
-        text_quality_score: 0.10,
-        ai_optimization_score: 0.25,
-        freshness_score: 0.15
-      };
-
-      const calculatedScore = Object.entries(weights).reduce((sum, [key, weight]) => {
-        const score = evaluation[key]?.score || 0;
-        return sum + (score * weight);
-      }, 0);
-
-      // Always use our calculated score (round to nearest whole number)
-      evaluation.overall_score = Math.round(calculatedScore);
-      
-      console.log('[Gemini] Score calculation check:', {
-        geminiProvided: evaluation.overall_score !== Math.round(calculatedScore) ? 'OVERRIDDEN' : 'CORRECT',
-        calculatedScore: Math.round(calculatedScore),
-        individualScores: Object.entries(weights).map(([key, weight]) => ({
-          [key]: evaluation[key]?.score || 0,
-          weighted: Math.round((evaluation[key]?.score || 0) * weight * 100) / 100
+      console.log('[LLM] Score calculation check:', {
+        modelProvided: providedScore === calculatedScore ? 'CORRECT' : 'OVERRIDDEN',
+        calculatedScore,
+        individualScores: breakdown.map(item => ({
+          [item.key]: item.score,
+          weighted: Math.round(item.weighted * 100) / 100
         }))
       });
 
@@ -442,17 +606,85 @@ Provide your analysis in this format (ensure proper JSON formatting):
 
       return evaluation;
     } catch (error) {
-      throw new Error(`Failed to parse Gemini response: ${error.message}`);
+      const wrapped = new Error(`Failed to parse LLM response: ${error.message}`);
+      wrapped.validationErrors = error.validationErrors;
+      throw wrapped;
     }
   }
 
+  /**
+   * Parse JSON from model output. Structured output is plain JSON; older
+   * or non-compliant models may wrap it in code fences or prose.
+   * @param {string} text - Model output
+   * @returns {Object} Parsed JSON
+   */
+  parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      // Fall through to the lenient extraction below
+    }
+
+    // Check for common JSON issues
+    if (!text.includes('{')) {
+      throw new Error('Response does not contain JSON object');
+    }
+    
+    // Extract JSON from the response
+    let jsonStr = text.trim();
+    
+    // Remove markdown code blocks if present
+    jsonStr = jsonStr.replace(/```json\s*\n?/g, '').replace(/```\s*$/g, '');
+    
+    // If there's text before/after the JSON, extract just the JSON
+    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      jsonStr = jsonMatch[0];
+    }
+
+    // Basic cleanup - be more conservative to avoid breaking valid JSON
+    jsonStr = jsonStr
+      // Remove only C-style comments (not // which might be in URLs)
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      // Remove only control characters, preserve backticks and other formatting
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+      // Normalize excessive whitespace but preserve single spaces
+      .replace(/\s{2,}/g, ' ');
+
+    // Skip complex array formatting - let JSON.parse handle valid JSON
+    console.log('[LLM] Cleaned JSON length:', jsonStr.length);
+    console.log('[LLM] Cleaned JSON preview:', jsonStr.substring(0, 200) + '...');
+    
+    // Try to parse and provide better error information if it fails
+    let evaluation;
+    try {
+      evaluation = JSON.parse(jsonStr);
+    } catch (parseError) {
+      console.error('[LLM] JSON parse error at position:', parseError.message);
+      console.error('[LLM] Context around error position:');
+      
+      // Extract position from error message
+      const positionMatch = parseError.message.match(/position (\d+)/);
+      if (positionMatch) {
+        const position = parseInt(positionMatch[1]);
+        const start = Math.max(0, position - 100);
+        const end = Math.min(jsonStr.length, position + 100);
+        console.error('[LLM] Error context:', jsonStr.substring(start, end));
+      }
+      
+      throw new Error(`JSON parsing failed: ${parseError.message}`);
+    }
+
+    return evaluation;
+  }
+
   async testConnection() {
     try {
       const testPrompt = "Please respond with 'OK' if you can read this message.";
       const response = await this.sendRequest(testPrompt);
-      return response.candidates && response.candidates.length > 0;
+      return response.text.length > 0;
     } catch (error) {
-      throw new Error(`Gemini API connection test failed: ${error.message}`);
+      throw new Error(`${this.provider.displayName} connection test failed: ${error.message}`);
     }
   }
 }
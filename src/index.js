@@ -12,6 +12,7 @@ import { fileURLToPath } from 'url';
 
 // Import our modules
 import WordPressClient from './wordpress-client.js';
+import { createPostSource } from './sources/index.js';
 import GeminiClient from './gemini-client.js';
 import ContentExtractor from './content-extractor.js';
 import ReportGenerator from './report-generator.js';
@@ -19,6 +20,16 @@ import ConfigLoader from './config-loader.js';
 import UniversalScraper from './universal-scraper.js';
 import CSVWriter from './utils/csv-writer.js';
 import ErrorLogger from './utils/error-logger.js';
+import { hashContent } from './utils/helpers.js';
+import RunManifest from './utils/run-manifest.js';
+import TaskPool, { createPools } from './utils/task-pool.js';
+import { configureHttp } from './utils/http-client.js';
+import ResponseCache from './utils/response-cache.js';
+import CostTracker, { formatCost } from './utils/cost-tracker.js';
+import Calibrator from './calibrator.js';
+import LinkChecker from './link-checker.js';
+import { auditLinks } from './utils/link-audit.js';
+import { hasPostSelectors, parseStatuses, listPostIdentifiers, describeIdentifier } from './post-selection.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -28,7 +39,7 @@ const program = new Command();
 
 program
   .name('seo-blog-checker')
-  .description('Evaluate SEO quality of WordPress blog posts using Gemini AI')
+  .description('Evaluate SEO quality of WordPress blog posts using an LLM (Gemini, OpenAI-compatible or Ollama)')
   .version('1.0.0');
 
 program
@@ -39,25 +50,61 @@ program
   .option('--slugs <slugs>', 'Comma-separated list of slugs')
   .option('--ids <ids>', 'Comma-separated list of IDs')
   .option('-f, --file <file>', 'File containing newline-separated list of slugs')
+  .option('--category <names>', 'Comma-separated category names, slugs or IDs')
+  .option('--tag <names>', 'Comma-separated tag names, slugs or IDs')
+  .option('--author <author>', 'Author slug or ID')
+  .option('--modified-before <date>', 'Only posts last modified before this date (e.g. 2024-01-01)')
+  .option('--modified-after <date>', 'Only posts last modified after this date (e.g. 2023-01-01)')
+  .option('--all', 'Evaluate every post with the selected statuses (default: published)')
+  .option('--source <source>', 'Read posts from an offline copy instead of the live site: wxr:<export.xml> or json-dir:<directory>')
+  .option('--type <type>', 'Post type to evaluate, e.g. page or a custom type (default: post)')
+  .option('--status <statuses>', 'Comma-separated post statuses: publish, draft, future, pending, private (non-publish statuses need WordPress authentication)')
   .option('-c, --config <config>', 'Configuration name (default: default)')
   .option('-e, --extraction-config <config>', 'Extraction configuration file')
   .option('-v, --evaluation-config <config>', 'Evaluation configuration file')
-  .option('--batch-size <size>', 'Number of posts to process in parallel (default: 3)', '3')
+  .option('--batch-size <size>', 'Maximum number of posts in flight at once (default: from config/runtime.yaml)')
+  .option('--llm <provider>', 'LLM provider: gemini, openai, ollama or mock (default: from evaluation config)')
+  .option('--model <model>', 'LLM model name (default: from evaluation config)')
+  .option('--record-fixtures <dir>', 'Save every LLM response to fixture files in this directory')
+  .option('--replay-fixtures <dir>', 'Answer LLM requests from recorded fixtures instead of the network')
+  .option('--resume <runId>', 'Resume a previous run, skipping posts that already completed')
+  .option('--incremental', 'Skip posts that have not changed since their last report')
+  .option('--no-cache', 'Always call the LLM, ignoring cached evaluations')
+  .option('--long-content <mode>', 'How to handle posts over the prompt budget: sections, truncate or off (default: from config/runtime.yaml)')
+  .option('--samples <n>', 'Evaluate each post n times and report median scores and their spread (default: from config/runtime.yaml)')
+  .option('--max-cost <usd>', 'Stop starting new posts once the LLM cost of this run reaches this many US dollars')
+  .option('--check-links', 'Check the status of every link in each post (default: from config/runtime.yaml)')
   .action(async (options) => {
     const spinner = ora('Initializing SEO evaluation...').start();
     
     try {
+      // When resuming, reuse the configs the original run was started with
+      let manifest = null;
+      if (options.resume) {
+        manifest = await RunManifest.load(options.resume);
+        restoreRunOptions(options, manifest);
+      }
+
       // Load configurations
       const configLoader = new ConfigLoader();
       const extractionConfig = await configLoader.loadExtractionConfig(options.extractionConfig || 'default');
       const evaluationConfig = await configLoader.loadEvaluationConfig(options.evaluationConfig || 'default');
+      const runtimeConfig = await configLoader.loadRuntimeConfig();
       
       spinner.text = 'Loading configurations...';
       
       // Initialize clients
-      const wordpressClient = new WordPressClient();
-      const geminiClient = new GeminiClient();
-      const contentExtractor = new ContentExtractor(extractionConfig);
+      configureHttp(runtimeConfig.http);
+      const pools = createPools(runtimeConfig);
+      const costTracker = createCostTracker(options, runtimeConfig, manifest?.data.usage);
+      const wordpressClient = createPostSource({
+        source: options.source,
+        statuses: parseStatuses(options.status),
+        type: options.type,
+        revisions: runtimeConfig.revisions
+      });
+      const geminiClient = new GeminiClient(getLLMOptions(options, evaluationConfig, runtimeConfig, { pools, costTracker }));
+      const contentExtractor = new ContentExtractor(extractionConfig, getExtractorOptions(evaluationConfig));
       const reportGenerator = new ReportGenerator(evaluationConfig);
       
       // Initialize CSV writer and error logger
@@ -73,7 +120,15 @@ program
       // Get post identifiers
       let postIdentifiers = [];
       
-      if (options.file) {
+      if (manifest) {
+        postIdentifiers = await manifest.getRemaining();
+        const total = manifest.getIdentifiers().length;
+        if (postIdentifiers.length === 0) {
+          spinner.succeed(`All ${total} posts in run ${manifest.runId} have already completed`);
+          return;
+        }
+        spinner.info(`Resuming run ${manifest.runId}: ${total - postIdentifiers.length}/${total} posts already completed, ${formatCost(costTracker.getSummary().cost)} spent so far`);
+      } else if (options.file) {
         // Read slugs from file
         postIdentifiers = await loadSlugsFromFile(options.file);
       } else if (options.slug) {
@@ -84,8 +139,14 @@ program
         postIdentifiers.push(...options.slugs.split(',').map(slug => ({ type: 'slug', value: slug.trim() })));
       } else if (options.ids) {
         postIdentifiers.push(...options.ids.split(',').map(id => ({ type: 'id', value: id.trim() })));
+      } else if (hasPostSelectors(options)) {
+        spinner.text = 'Listing matching posts from WordPress...';
+        postIdentifiers = await listPostIdentifiers(options, wordpressClient);
+      } else if (options.type || options.status) {
+        spinner.fail('--type and --status narrow a selection. Add --all to evaluate every matching post, or a selector such as --category or --slug');
+        process.exit(1);
       } else {
-        spinner.fail('No posts specified. Use --slug, --id, --slugs, --ids, or --file');
+        spinner.fail('No posts specified. Use --slug, --id, --slugs, --ids, --file, --category, --tag, --author, --modified-before/--modified-after or --all');
         process.exit(1);
       }
       
@@ -94,57 +155,98 @@ program
         process.exit(1);
       }
       
-      spinner.succeed(`Found ${postIdentifiers.length} posts to evaluate`);
+      if (!manifest) {
+        manifest = new RunManifest(RunManifest.generateRunId());
+        await manifest.initialize(postIdentifiers, {
+          extractionConfig: options.extractionConfig || 'default',
+          evaluationConfig: options.evaluationConfig || 'default',
+          status: options.status,
+          type: options.type,
+          source: options.source,
+          checkLinks: options.checkLinks,
+          llm: options.llm,
+          model: options.model,
+          samples: options.samples,
+          longContent: options.longContent,
+          maxCost: options.maxCost
+        });
+      }
+      
+      if (wordpressClient.includesUnpublished) {
+        spinner.info(`Including unpublished posts (status: ${wordpressClient.statuses.join(', ')}${wordpressClient.auth ? `, ${wordpressClient.auth.type} authentication` : ''})`);
+      }
+      spinner.succeed(`Found ${postIdentifiers.length} posts to evaluate (run ID: ${manifest.runId})`);
       
-      // Process posts in batches
-      const batchSize = parseInt(options.batchSize) || 3;
+      // Posts flow through a shared pool; WordPress and Gemini calls are
+      // throttled separately so one slow evaluation never blocks the others
+      const postConcurrency = parseInt(options.batchSize) || runtimeConfig.concurrency.posts;
+      const postPool = new TaskPool({ name: 'posts', concurrency: postConcurrency });
+      const context = {
+        wordpressClient,
+        geminiClient,
+        contentExtractor,
+        reportGenerator,
+        csvWriter,
+        pools,
+        linkRules: evaluationConfig.links,
+        linkChecker: createLinkChecker(options, runtimeConfig),
+        incremental: Boolean(options.incremental)
+      };
       const results = [];
       const errors = [];
+      const overBudget = [];
+      let completed = 0;
       
-      for (let i = 0; i < postIdentifiers.length; i += batchSize) {
-        const batch = postIdentifiers.slice(i, i + batchSize);
-        const batchSpinner = ora(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(postIdentifiers.length / batchSize)} (${batch.length} posts)...`).start();
+      await Promise.all(postIdentifiers.map(identifier => postPool.run(async () => {
+        // Posts already in flight finish, but nothing new starts once the budget is spent.
+        // Skipped posts stay pending in the manifest, so --resume picks them up later
+        if (costTracker.isOverBudget()) {
+          overBudget.push(identifier);
+          return;
+        }
         
         try {
-          const batchResults = await Promise.allSettled(
-            batch.map(identifier => processSinglePost(identifier, wordpressClient, geminiClient, contentExtractor, reportGenerator, csvWriter))
-          );
+          const result = await processSinglePost(identifier, context);
+          results.push(result);
+          manifest.setUsage(costTracker.getSummary());
+          await manifest.markSucceeded(identifier, result);
+          const details = [result.skipped ? 'unchanged, kept previous score' : 'evaluated', describeBrokenLinks(result.broken_links)];
+          console.log(chalk.green(`✅ [${++completed}/${postIdentifiers.length}] ${describeIdentifier(identifier)}: ${result.overall_score}/100 (${details.filter(Boolean).join(', ')})`));
+        } catch (failure) {
+          errors.push({
+            identifier,
+            error: failure.message
+          });
+          // Failed evaluations can still have spent tokens
+          manifest.setUsage(costTracker.getSummary());
+          await manifest.markFailed(identifier, failure);
           
-          for (let index = 0; index < batchResults.length; index++) {
-            const result = batchResults[index];
-            if (result.status === 'fulfilled') {
-              results.push(result.value);
-            } else {
-              const error = {
-                identifier: batch[index],
-                error: result.reason.message
-              };
-              errors.push(error);
-              
-              // Log error with additional context
-              const errorWithContext = {
-                ...result.reason,
-                slug: batch[index].value
-              };
-              await errorLogger.logError(errorWithContext);
-              
-              console.error(chalk.red(`❌ Failed to process ${batch[index].value}: ${result.reason.message}`));
-            }
-          }
+          // Log error with additional context
+          const errorWithContext = {
+            ...failure,
+            slug: describeIdentifier(identifier)
+          };
+          await errorLogger.logError(errorWithContext);
           
-          batchSpinner.succeed(`Batch ${Math.floor(i / batchSize) + 1} completed`);
-        } catch (error) {
-          batchSpinner.fail(`Batch ${Math.floor(i / batchSize) + 1} failed: ${error.message}`);
-          throw error;
+          console.error(chalk.red(`❌ [${++completed}/${postIdentifiers.length}] Failed to process ${describeIdentifier(identifier)}: ${failure.message}`));
         }
-      }
+      })));
       
       // Display summary
       console.log('\n EVALUATION SUMMARY');
       console.log('='.repeat(50));
       console.log(`✅ Successfully processed: ${results.length} posts`);
+      if (context.incremental) {
+        console.log(`⏭️  Unchanged since last report: ${results.filter(r => r.skipped).length} posts`);
+      }
       console.log(`❌ Failed: ${errors.length} posts`);
+      if (overBudget.length > 0) {
+        console.log(`💸 Not started, --max-cost of ${formatCost(costTracker.maxCost)} reached: ${overBudget.length} posts`);
+      }
       console.log(`📁 Reports saved to: ${path.resolve('reports')}`);
+      const runSummary = manifest.getSummary();
+      console.log(`🗂️  Run ${manifest.runId}: ${runSummary.succeeded} succeeded, ${runSummary.failed} failed, ${runSummary.pending} pending (${manifest.filepath})`);
+      printCostSummary(costTracker);
       
       if (results.length > 0) {
         console.log('\n Score Summary:');
@@ -156,6 +258,10 @@ program
           console.log(`   Average Score: ${avgScore.toFixed(1)}/100`);
           console.log(`   Range: ${minScore}-${maxScore}/100`);
         }
+        const lowConfidence = results.filter(r => r.low_confidence?.length > 0);
+        if (lowConfidence.length > 0) {
+          console.log(`   ⚠️  Low-confidence scores in ${lowConfidence.length} posts (see Score Stability in their reports)`);
+        }
         
         console.log('\n🏆 Top Performers:');
         const topPerformers = results
@@ -184,7 +290,7 @@ program
       if (errors.length > 0) {
         console.log('\n❌ Errors:');
         errors.forEach(error => {
-          console.log(`   - ${error.identifier.value}: ${error.error}`);
+          console.log(`   - ${describeIdentifier(error.identifier)}: ${error.error}`);
         });
 
         // Generate and display error summary
@@ -195,6 +301,7 @@ program
           console.log('Affected posts:', summary.affected_slugs.join(', '));
         });
         console.log(`\nDetailed error logs available in: ${errorLogger.logDir}/`);
+        console.log(`\nTo retry failed posts, run: evaluate --resume ${manifest.runId}`);
       }
       
     } catch (error) {
@@ -223,22 +330,189 @@ async function loadSlugsFromFile(filePath) {
   }
 }
 
+/**
+ * Build the cost tracker for a run from the pricing table and --max-cost
+ * @param {Object} options - Command options
+ * @param {Object} runtimeConfig - Runtime configuration
+ * @param {Object} [previousUsage] - Usage saved in the manifest of a resumed run
+ * @returns {CostTracker} Cost tracker
+ */
+function createCostTracker(options, runtimeConfig, previousUsage) {
+  let maxCost = null;
+  if (options.maxCost !== undefined) {
+    maxCost = parseFloat(options.maxCost);
+    if (isNaN(maxCost) || maxCost <= 0) {
+      throw new Error(`Invalid --max-cost '${options.maxCost}': expected a positive number of US dollars`);
+    }
+  }
+  const costTracker = new CostTracker({ pricing: runtimeConfig.pricing, maxCost });
+  if (previousUsage) {
+    costTracker.restore(previousUsage);
+  }
+  return costTracker;
+}
+
+/**
+ * Apply the options a run was started with to a resumed run. LLM settings
+ * can't change partway through a run, so resuming with different ones fails;
+ * a new --max-cost replaces the original budget.
+ * @param {Object} options - Command options, updated in place
+ * @param {RunManifest} manifest - Manifest of the run being resumed
+ */
+function restoreRunOptions(options, manifest) {
+  const previousOptions = manifest.data.options || {};
+  const flags = { llm: '--llm', model: '--model', samples: '--samples', longContent: '--long-content' };
+  for (const [key, flag] of Object.entries(flags)) {
+    if (options[key] !== undefined && String(options[key]) !== String(previousOptions[key] ?? '')) {
+      const previous = previousOptions[key] !== undefined ? `${flag} ${previousOptions[key]}` : `no ${flag}`;
+      throw new Error(`Run ${manifest.runId} was started with ${previous}; resume it with the same LLM settings or start a new run`);
+    }
+    options[key] = previousOptions[key];
+  }
+
+  options.extractionConfig = options.extractionConfig || previousOptions.extractionConfig;
+  options.evaluationConfig = options.evaluationConfig || previousOptions.evaluationConfig;
+  options.status = options.status || previousOptions.status;
+  options.type = options.type || previousOptions.type;
+  options.source = options.source || previousOptions.source;
+  options.checkLinks = options.checkLinks || previousOptions.checkLinks;
+  options.maxCost = options.maxCost ?? previousOptions.maxCost;
+}
+
+/**
+ * Content extractor options taken from the evaluation config: the locale to
+ * assume for posts that don't declare one, and the keyword_density targets
+ * @param {Object} evaluationConfig - Evaluation configuration
+ * @returns {Object} { language, keywordDensity }
+ */
+function getExtractorOptions(evaluationConfig) {
+  const densityCriterion = evaluationConfig.evaluation_criteria.find(criterion => criterion.keyword_density);
+  const { target, min, max } = densityCriterion?.keyword_density || {};
+  return {
+    language: evaluationConfig.prompt?.variables?.locale,
+    keywordDensity: { target, min, max }
+  };
+}
+
+/**
+ * Build the link checker when link status checks are on (--check-links or links.check)
+ * @param {Object} options - Command options
+ * @param {Object} runtimeConfig - Runtime configuration
+ * @returns {LinkChecker|null} Link checker, or null to only classify links
+ */
+function createLinkChecker(options, runtimeConfig) {
+  return options.checkLinks || runtimeConfig.links.check ? new LinkChecker(runtimeConfig.links) : null;
+}
+
+/**
+ * Add the link audit to extracted content. Runs before the content is hashed,
+ * so links that break or change count as a content change.
+ * @param {Object} extractedContent - Extracted content with links
+ * @param {Object} services
+ * @param {Object} [services.linkRules] - links section of the evaluation config
+ * @param {LinkChecker|null} services.linkChecker - Link checker, or null to skip status checks
+ */
+async function addLinkAudit(extractedContent, { linkRules, linkChecker }) {
+  // Links are disabled in the extraction config
+  if (!extractedContent.links) return;
+
+  extractedContent.link_audit = await auditLinks(extractedContent.links, {
+    pageUrl: extractedContent.url,
+    rules: linkRules,
+    checker: linkChecker
+  });
+}
+
+/**
+ * Broken links for a post's progress line, e.g. "2 broken links"
+ * @param {number|null} count - Broken links, or null when links weren't checked
+ * @returns {string|null} Description, or null when there is nothing to report
+ */
+function describeBrokenLinks(count) {
+  if (!count) return null;
+  return `${count} broken link${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Print token usage and cost totals for a run
+ * @param {CostTracker} costTracker - Cost tracker for the run
+ */
+function printCostSummary(costTracker) {
+  const summary = costTracker.getSummary();
+  console.log('\n💰 LLM Usage:');
+  console.log(`   Requests: ${summary.requests} (${summary.cache_hits} answered from cache)`);
+  console.log(`   Tokens: ${summary.total_tokens.toLocaleString()} (prompt ${summary.prompt_tokens.toLocaleString()}, completion ${summary.completion_tokens.toLocaleString()})`);
+  console.log(`   Estimated cost: ${formatCost(summary.cost)}${costTracker.maxCost !== null ? ` of ${formatCost(costTracker.maxCost)} budget` : ''}`);
+  if (summary.unpriced_models.length > 0) {
+    console.log(`   No pricing configured for: ${summary.unpriced_models.join(', ')} (see pricing in config/runtime.yaml)`);
+  }
+}
+
+/**
+ * Pick the LLM provider and model: CLI flags win over the evaluation config
+ * @param {Object} options - Command options
+ * @param {Object} evaluationConfig - Evaluation configuration
+ * @param {Object} runtimeConfig - Runtime configuration
+ * @param {Object} services - Shared services for the run
+ * @param {Object} services.pools - Task pools from createPools()
+ * @param {CostTracker} services.costTracker - Cost tracker for the run
+ * @returns {Object} Options for GeminiClient
+ */
+function getLLMOptions(options, evaluationConfig, runtimeConfig, { pools, costTracker }) {
+  const llmConfig = evaluationConfig.llm || {};
+  const provider = options.llm || llmConfig.provider;
+  // A model from the config belongs to the config's provider, so drop it when --llm switches provider
+  const configModel = !options.llm || options.llm === llmConfig.provider ? llmConfig.model : undefined;
+  if (options.recordFixtures && options.replayFixtures) {
+    throw new Error('Use either --record-fixtures or --replay-fixtures, not both');
+  }
+  let fixtures;
+  if (options.recordFixtures) fixtures = { mode: 'record', dir: options.recordFixtures };
+  if (options.replayFixtures) fixtures = { mode: 'replay', dir: options.replayFixtures };
+
+  return {
+    provider,
+    model: options.model || configModel,
+    fixtures,
+    maxRepairAttempts: runtimeConfig.llm.max_repair_attempts,
+    promptBudget: runtimeConfig.llm.prompt_budget_tokens,
+    longContent: options.longContent || runtimeConfig.llm.long_content,
+    samples: options.samples !== undefined ? Number(options.samples) : runtimeConfig.llm.samples,
+    spreadThreshold: runtimeConfig.llm.low_confidence_spread,
+    pool: pools.llm,
+    costTracker,
+    // commander sets options.cache to false for --no-cache
+    cache: options.cache === false ? null : new ResponseCache({
+      dir: runtimeConfig.cache.dir,
+      ttlHours: runtimeConfig.cache.ttl_hours
+    })
+  };
+}
+
 /**
  * Process a single blog post
  * @param {Object} identifier - Post identifier
- * @param {WordPressClient} wordpressClient - WordPress client
- * @param {GeminiClient} geminiClient - Gemini client
- * @param {ContentExtractor} contentExtractor - Content extractor
- * @param {ReportGenerator} reportGenerator - Report generator
+ * @param {Object} context - Shared services for the run
+ * @param {WordPressClient|OfflineSource} context.wordpressClient - Post source from createPostSource()
+ * @param {GeminiClient} context.geminiClient - Gemini client
+ * @param {ContentExtractor} context.contentExtractor - Content extractor
+ * @param {ReportGenerator} context.reportGenerator - Report generator
+ * @param {CSVWriter} context.csvWriter - CSV summary writer
+ * @param {Object} context.pools - Task pools from createPools()
+ * @param {Object} [context.linkRules] - links section of the evaluation config
+ * @param {LinkChecker|null} context.linkChecker - Link checker, or null to skip status checks
+ * @param {boolean} context.incremental - Skip posts unchanged since their last report
  * @returns {Promise<Object>} Processing result
  */
-async function processSinglePost(identifier, wordpressClient, geminiClient, contentExtractor, reportGenerator, csvWriter) {
+async function processSinglePost(identifier, context) {
+  const { wordpressClient, geminiClient, contentExtractor, reportGenerator, csvWriter, pools } = context;
+  
   try {
-    console.log(`Processing ${identifier.value}...`);
+    console.log(`Processing ${describeIdentifier(identifier)}...`);
     
     // Fetch content from WordPress
     console.log('Fetching WordPress data...');
-    const wordpressData = await wordpressClient.getPost(identifier);
+    const wordpressData = await pools.wordpress.run(() => wordpressClient.getPost(identifier));
     console.log('WordPress data fetched:', wordpressData.title ? wordpressData.title.substring(0, 50) + '...' : 'No title');
     
     // Extract relevant content
@@ -248,6 +522,34 @@ async function processSinglePost(identifier, wordpressClient, geminiClient, cont
     
     const extractedContent = contentExtractor.extract(wordpressData);
     console.log('Content extracted:', extractedContent.title ? extractedContent.title.substring(0, 50) + '...' : 'No title');
+    await addLinkAudit(extractedContent, context);
+    // Reports are filed by slug; drafts that were never published don't have one yet
+    const slug = extractedContent.slug || String(identifier.value);
+    
+    // In incremental mode, reuse the previous result when neither the
+    // WordPress modified date, the extracted content, nor the evaluation
+    // config and prompt version have changed
+    if (context.incremental) {
+      const previous = await reportGenerator.loadMetadata(slug);
+      const contentUnchanged = previous?.result &&
+        previous.last_modified === (extractedContent.last_modified || null) &&
+        previous.content_hash === hashContent(extractedContent);
+      const configUnchanged = previous?.prompt_version === geminiClient.getTemplate(reportGenerator.config).id &&
+        previous?.evaluation_config_hash === reportGenerator.getConfigHash();
+      
+      if (contentUnchanged && !configUnchanged) {
+        console.log(`Re-evaluating ${slug}: the evaluation config or prompt changed since the report of ${previous.timestamp}`);
+      }
+      if (contentUnchanged && configUnchanged) {
+        console.log(`Skipping ${slug}: unchanged since report of ${previous.timestamp}`);
+        // Nothing was sent to the LLM this time
+        const result = { ...previous.result, skipped: true, tokens: 0, cost: 0 };
+        if (csvWriter) {
+          await csvWriter.appendResult(result);
+        }
+        return result;
+      }
+    }
     
     // Evaluate with AI
     console.log('Evaluating with AI...');
@@ -260,7 +562,7 @@ async function processSinglePost(identifier, wordpressClient, geminiClient, cont
     
     // Save report
     console.log('Saving report...');
-    await reportGenerator.save(report, identifier.value);
+    await reportGenerator.save(report, slug);
     
     // Extract top strengths and critical issues
     const topStrengths = Object.entries(evaluation)
@@ -277,17 +579,28 @@ async function processSinglePost(identifier, wordpressClient, geminiClient, cont
 
     // Prepare result object
     const result = {
-      slug: identifier.value,
+      slug,
       url: extractedContent.url,
       title: extractedContent.title,
+      post_status: extractedContent.post_status,
+      post_type: extractedContent.post_type,
       overall_score: evaluation.overall_score,
       top_strengths: topStrengths,
       critical_issues: criticalIssues,
       word_count: extractedContent.word_count,
+      image_score: extractedContent.image_audit?.score ?? null,
+      broken_links: extractedContent.link_audit?.checked ? extractedContent.link_audit.broken.length : null,
       last_updated: extractedContent.last_modified,
-      report_path: `reports/${identifier.value}/seo-analysis-report.md`
+      samples: evaluation.sampling?.samples || 1,
+      low_confidence: (evaluation.sampling?.low_confidence || []).map(key => reportGenerator.criteria.get(key)?.name || key),
+      tokens: evaluation.usage?.total_tokens || 0,
+      cost: evaluation.cost,
+      report_path: `reports/${slug}/seo-analysis-report.md`
     };
 
+    // Record what was evaluated so incremental runs can detect changes
+    await reportGenerator.saveMetadata(slug, { ...report.metadata, result });
+
     // Write to CSV
     if (csvWriter) {
       console.log('Writing to CSV summary...');
@@ -297,7 +610,7 @@ async function processSinglePost(identifier, wordpressClient, geminiClient, cont
     return result;
   } catch (error) {
     console.error('Error in processSinglePost:', error);
-    throw new Error(`Failed to process ${identifier.value}: ${error.message}`);
+    throw new Error(`Failed to process ${describeIdentifier(identifier)}: ${error.message}`);
   }
 }
 
@@ -309,6 +622,14 @@ program
   .option('-f, --file <file>', 'File containing URLs (one per line)')
   .option('-e, --extraction-config <name>', 'Extraction configuration to use', 'default')
   .option('-v, --evaluation-config <name>', 'Evaluation configuration to use', 'default')
+  .option('--llm <provider>', 'LLM provider: gemini, openai, ollama or mock (default: from evaluation config)')
+  .option('--model <model>', 'LLM model name (default: from evaluation config)')
+  .option('--record-fixtures <dir>', 'Save every LLM response to fixture files in this directory')
+  .option('--replay-fixtures <dir>', 'Answer LLM requests from recorded fixtures instead of the network')
+  .option('--no-cache', 'Always call the LLM, ignoring cached evaluations')
+  .option('--long-content <mode>', 'How to handle posts over the prompt budget: sections, truncate or off (default: from config/runtime.yaml)')
+  .option('--samples <n>', 'Evaluate each post n times and report median scores and their spread (default: from config/runtime.yaml)')
+  .option('--check-links', 'Check the status of every link on each page (default: from config/runtime.yaml)')
   .action(async (options) => {
     try {
       const urls = await getUrlsFromInput(options);
@@ -337,50 +658,189 @@ async function processUrls(urls, options) {
   
   const scraper = new UniversalScraper();
   const configLoader = new ConfigLoader();
-  const geminiClient = new GeminiClient();
   
   // Load configurations
   const extractionConfig = await configLoader.loadExtractionConfig(options.extractionConfig);
   const evaluationConfig = await configLoader.loadEvaluationConfig(options.evaluationConfig);
+  const runtimeConfig = await configLoader.loadRuntimeConfig();
   
-  const contentExtractor = new ContentExtractor(extractionConfig);
+  // The scraper pool's rate limit keeps us polite to the target sites
+  configureHttp(runtimeConfig.http);
+  const pools = createPools(runtimeConfig);
+  const costTracker = createCostTracker(options, runtimeConfig);
+  const geminiClient = new GeminiClient(getLLMOptions(options, evaluationConfig, runtimeConfig, { pools, costTracker }));
+  const contentExtractor = new ContentExtractor(extractionConfig, getExtractorOptions(evaluationConfig));
   const reportGenerator = new ReportGenerator(evaluationConfig);
+  const linkServices = { linkRules: evaluationConfig.links, linkChecker: createLinkChecker(options, runtimeConfig) };
   
-  for (let i = 0; i < urls.length; i++) {
-    const url = urls[i];
-    const spinner = ora(`Processing URL ${i + 1}/${urls.length}: ${url}`).start();
-    
+  const urlPool = new TaskPool({ name: 'urls', concurrency: runtimeConfig.concurrency.posts });
+  let completed = 0;
+  
+  await Promise.all(urls.map(url => urlPool.run(async () => {
     try {
       // Scrape the URL
-      spinner.text = `Scraping content from ${url}...`;
-      const scrapedData = await scraper.scrapeUrl(url);
+      console.log(`Scraping content from ${url}...`);
+      const scrapedData = await pools.scraper.run(() => scraper.scrapeUrl(url));
       
       // Extract relevant content
-      spinner.text = 'Extracting content...';
       const extractedContent = contentExtractor.extract(scrapedData);
+      await addLinkAudit(extractedContent, linkServices);
       
       // Evaluate with AI
-      spinner.text = 'Evaluating with Gemini AI...';
+      console.log(`Evaluating ${url} with ${geminiClient.provider.model}...`);
       const evaluation = await geminiClient.evaluate(extractedContent, evaluationConfig);
       
       // Generate and save report
-      spinner.text = 'Generating report...';
       const report = reportGenerator.generate(evaluation, extractedContent);
       const reportPath = await reportGenerator.save(report, extractedContent.slug);
       
-      spinner.succeed(`✅ Report saved: ${reportPath}`);
-      
-      // Add delay between requests to be respectful
-      if (i < urls.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
+      const brokenLinks = describeBrokenLinks(extractedContent.link_audit?.checked ? extractedContent.link_audit.broken.length : null);
+      console.log(chalk.green(`✅ [${++completed}/${urls.length}] Report saved: ${reportPath}${brokenLinks ? ` (${brokenLinks})` : ''}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ [${++completed}/${urls.length}] Failed to process ${url}: ${error.message}`));
+    }
+  })));
+  
+  console.log(chalk.green('\n🎉 All URLs processed!'));
+  printCostSummary(costTracker);
+}
+
+program
+  .command('calibrate')
+  .description('Evaluate a golden set of posts and compare the scores with expert targets')
+  .option('-g, --golden-set <name>', 'Golden set in config/calibration', 'hostelworld')
+  .option('-v, --evaluation-config <name>', 'Evaluation configuration (default: from the golden set)')
+  .option('-e, --extraction-config <name>', 'Extraction configuration for posts fetched from WordPress', 'default')
+  .option('--llm <provider>', 'LLM provider: gemini, openai, ollama or mock (default: from evaluation config)')
+  .option('--model <model>', 'LLM model name (default: from evaluation config)')
+  .option('--record-fixtures <dir>', 'Save every LLM response to fixture files in this directory')
+  .option('--replay-fixtures <dir>', 'Answer LLM requests from recorded fixtures instead of the network')
+  .option('--no-cache', 'Always call the LLM, ignoring cached evaluations')
+  .option('--samples <n>', 'Evaluate each post n times and use the median scores (default: from config/runtime.yaml)')
+  .action(async (options) => {
+    try {
+      const passed = await runCalibration(options);
+      if (!passed) {
+        process.exitCode = 1;
       }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Evaluate every post in a golden set and compare with its target scores
+ * @param {Object} options - Command options
+ * @returns {Promise<boolean>} Whether every dimension is within tolerance
+ */
+async function runCalibration(options) {
+  const configLoader = new ConfigLoader();
+  const goldenSet = await configLoader.loadCalibrationSet(options.goldenSet);
+  const evaluationConfigName = options.evaluationConfig || goldenSet.evaluation_config || 'default';
+  const evaluationConfig = await configLoader.loadEvaluationConfig(evaluationConfigName);
+  const runtimeConfig = await configLoader.loadRuntimeConfig();
+  
+  configureHttp(runtimeConfig.http);
+  const pools = createPools(runtimeConfig);
+  const costTracker = createCostTracker(options, runtimeConfig);
+  const geminiClient = new GeminiClient(getLLMOptions(options, evaluationConfig, runtimeConfig, { pools, costTracker }));
+  const calibrator = new Calibrator(goldenSet, evaluationConfig);
+  
+  // Posts without a content snapshot are fetched live, which needs WordPress access
+  let fetchPost = null;
+  if (goldenSet.posts.some(post => !post.content)) {
+    const wordpressClient = new WordPressClient();
+    const contentExtractor = new ContentExtractor(
+      await configLoader.loadExtractionConfig(options.extractionConfig),
+      getExtractorOptions(evaluationConfig)
+    );
+    fetchPost = async slug => contentExtractor.extract(
+      await pools.wordpress.run(() => wordpressClient.getPost({ type: 'slug', value: slug }))
+    );
+  }
+  
+  console.log(chalk.blue(`🎯 Calibrating ${goldenSet.posts.length} posts from '${options.goldenSet}' against ${geminiClient.provider.name}/${geminiClient.provider.model}...\n`));
+  
+  // One failed post shouldn't throw away the others' results
+  const outcomes = await Promise.all(goldenSet.posts.map(async post => {
+    try {
+      const extractedContent = post.content
+        ? { slug: post.slug, ...post.content }
+        : await fetchPost(post.slug);
+      const evaluation = await geminiClient.evaluate(extractedContent, evaluationConfig);
+      const scores = Object.fromEntries(
+        calibrator.criteria.outputKeys.map(key => [key, evaluation[key]?.score])
+      );
+      scores.overall_score = evaluation.overall_score;
       
+      return { slug: post.slug, targets: post.targets, scores, cached: Boolean(evaluation.cache?.hit) };
     } catch (error) {
-      spinner.fail(`❌ Failed to process ${url}: ${error.message}`);
+      console.error(chalk.red(`❌ Failed to evaluate ${post.slug}: ${error.message}`));
+      return { slug: post.slug, targets: post.targets, error: error.message };
     }
+  }));
+  const results = outcomes.filter(outcome => !outcome.error);
+  const failed = outcomes.filter(outcome => outcome.error);
+  if (results.length === 0) {
+    throw new Error(`No golden set posts could be evaluated (${failed.length} failed)`);
   }
   
-  console.log(chalk.green('\n🎉 All URLs processed!'));
+  const comparison = calibrator.compare(results);
+  
+  console.log('\n CALIBRATION RESULTS');
+  console.log('='.repeat(50));
+  console.log(calibrator.formatTable(comparison));
+  if (failed.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  ${failed.length} of ${outcomes.length} posts failed and are left out of the metrics:`));
+    failed.forEach(post => console.log(chalk.yellow(`   - ${post.slug}: ${post.error}`)));
+  }
+  console.log(`\nTolerance: MAE ≤ ${comparison.tolerance.max_mae}, |bias| ≤ ${comparison.tolerance.max_bias}, Spearman ≥ ${comparison.tolerance.min_spearman}`);
+  printCostSummary(costTracker);
+  
+  const resultsPath = await calibrator.save({
+    golden_set: options.goldenSet,
+    evaluation_config: evaluationConfigName,
+    provider: geminiClient.provider.name,
+    model: geminiClient.provider.model,
+    timestamp: new Date().toISOString(),
+    ...comparison,
+    posts: results,
+    failed_posts: failed
+  });
+  console.log(`\n📁 Results saved to: ${resultsPath}`);
+  
+  if (comparison.passed) {
+    console.log(chalk.green('\n✅ Scores are within tolerance of the golden set'));
+  } else {
+    console.log(chalk.red('\n❌ Scores have drifted from the golden set:'));
+    comparison.failures.forEach(failure => console.log(chalk.red(`   - ${failure}`)));
+  }
+  
+  return comparison.passed;
 }
 
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the LLM response cache');
+
+cacheCommand
+  .command('prune')
+  .description('Remove expired cache entries')
+  .option('--all', 'Remove every cache entry, not just expired ones')
+  .action(async (options) => {
+    try {
+      const runtimeConfig = await new ConfigLoader().loadRuntimeConfig();
+      const cache = new ResponseCache({
+        dir: runtimeConfig.cache.dir,
+        ttlHours: runtimeConfig.cache.ttl_hours
+      });
+      const { removed, kept } = await cache.prune({ all: Boolean(options.all) });
+      console.log(chalk.green(`🧹 Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'}, kept ${kept}`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
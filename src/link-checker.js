@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import TaskPool from './utils/task-pool.js';
+import { createHttpClient } from './utils/http-client.js';
+
+// Servers that refuse HEAD requests answer with one of these
+const HEAD_UNSUPPORTED = [400, 403, 404, 405, 501];
+
+/**
+ * Checks whether links resolve: HEAD first, GET when HEAD isn't supported,
+ * following redirects by hand to record the chain. Checks are limited per
+ * host and results are cached on disk, so links shared by many posts are
+ * only requested once per cache period.
+ */
+class LinkChecker {
+  /**
+   * @param {Object} [options] - links section of config/runtime.yaml
+   * @param {number} [options.concurrency] - Links checked at once across all hosts
+   * @param {number} [options.per_host_requests_per_minute] - Rate limit for each host
+   * @param {number} [options.timeout_ms] - Timeout for each request
+   * @param {number} [options.max_redirects] - Longest redirect chain to follow
+   * @param {Object} [options.cache] - { dir, ttl_hours }
+   */
+  constructor({ concurrency = 8, per_host_requests_per_minute = 30, timeout_ms = 10000, max_redirects = 5, cache = {} } = {}) {
+    this.pool = new TaskPool({ name: 'links', concurrency });
+    this.perHostLimit = per_host_requests_per_minute;
+    this.hostPools = new Map();
+    this.maxRedirects = max_redirects;
+    this.cacheFile = path.join(cache.dir || '.cache/links', 'links.json');
+    this.ttlMs = (cache.ttl_hours ?? 24) * 60 * 60 * 1000;
+    this.cache = null;
+    this.cacheLoad = null;
+    this.pending = new Map();
+    this.saving = Promise.resolve();
+
+    this.client = createHttpClient({
+      name: 'Links',
+      timeout: timeout_ms,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; SEO-Blog-Checker/1.0.0; link check)'
+      }
+    });
+  }
+
+  /**
+   * Check a set of URLs
+   * @param {Array<string>} urls - Absolute http(s) URLs
+   * @returns {Promise<Map>} Results keyed by URL, see check()
+   */
+  async checkAll(urls) {
+    await this.loadCache();
+    const results = await Promise.all(urls.map(url => this.check(url)));
+    await this.saveCache();
+    return new Map(urls.map((url, i) => [url, results[i]]));
+  }
+
+  /**
+   * Check one URL, from the cache when possible
+   * @param {string} url - Absolute http(s) URL
+   * @returns {Promise<Object>} { status, final_url, redirects: [{ url, status }], error, timed_out }
+   */
+  async check(url) {
+    await this.loadCache();
+    const cached = this.cache[url];
+    if (cached && Date.now() - new Date(cached.checked_at).getTime() < this.ttlMs) {
+      return cached.result;
+    }
+
+    // Posts checked at the same time often share links
+    if (!this.pending.has(url)) {
+      const host = new URL(url).host;
+      this.pending.set(url, this.getHostPool(host).run(() => this.pool.run(() => this.followRedirects(url)))
+        .then(result => {
+          // Timeouts are usually transient, so they aren't cached
+          if (!result.timed_out) {
+            this.cache[url] = { checked_at: new Date().toISOString(), result };
+          }
+          return result;
+        })
+        .finally(() => this.pending.delete(url)));
+    }
+    return this.pending.get(url);
+  }
+
+  getHostPool(host) {
+    if (!this.hostPools.has(host)) {
+      this.hostPools.set(host, new TaskPool({ name: `links:${host}`, concurrency: 2, requestsPerMinute: this.perHostLimit }));
+    }
+    return this.hostPools.get(host);
+  }
+
+  async followRedirects(url) {
+    const redirects = [];
+    let current = url;
+
+    try {
+      for (let hop = 0; hop <= this.maxRedirects; hop++) {
+        const status = await this.requestStatus(current);
+        const location = status.location;
+        if (status.code >= 300 && status.code < 400 && location) {
+          redirects.push({ url: current, status: status.code });
+          current = new URL(location, current).href;
+          continue;
+        }
+        return { status: status.code, final_url: current, redirects, error: null, timed_out: false };
+      }
+      return { status: null, final_url: current, redirects, error: `more than ${this.maxRedirects} redirects`, timed_out: false };
+    } catch (error) {
+      const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+      return { status: null, final_url: current, redirects, error: error.code || error.message, timed_out: timedOut };
+    }
+  }
+
+  async requestStatus(url) {
+    const request = method => this.client.request({
+      method,
+      url,
+      responseType: 'stream',
+      retry: false,
+      // Kept apart from the API clients' breakers, so dead links on the blog's own host can't open its circuit
+      breakerHost: `links:${new URL(url).host}`
+    });
+
+    let response = await request('head');
+    if (HEAD_UNSUPPORTED.includes(response.status)) {
+      response = await request('get');
+    }
+    // Only the status is needed; don't download the body
+    response.data?.destroy?.();
+    return { code: response.status, location: response.headers.location };
+  }
+
+  /**
+   * Read the cache file once. Posts check their links concurrently, so every
+   * caller waits on the same read; a second read finishing later would replace
+   * the entries added in the meantime.
+   * @returns {Promise<void>}
+   */
+  loadCache() {
+    this.cacheLoad ??= this.readCache();
+    return this.cacheLoad;
+  }
+
+  async readCache() {
+    try {
+      this.cache = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Links] Ignoring unreadable link cache ${this.cacheFile}: ${error.message}`);
+      }
+      this.cache = {};
+    }
+  }
+
+  async saveCache() {
+    // Posts finish concurrently; write one snapshot at a time
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+        await fs.writeFile(this.cacheFile, JSON.stringify(this.cache, null, 2));
+      } catch (error) {
+        console.warn(`[Links] Failed to save link cache: ${error.message}`);
+      }
+    });
+    return this.saving;
+  }
+}
+
+export default LinkChecker;
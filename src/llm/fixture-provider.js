@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+import LLMProvider from './llm-provider.js';
+import { hashContent } from '../utils/helpers.js';
+
+/**
+ * Records provider responses to fixture files keyed by prompt hash, or
+ * replays them later without touching the network.
+ */
+class FixtureProvider extends LLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {string} options.dir - Fixture directory
+   * @param {LLMProvider} [options.inner] - Provider to record from (not needed for replay)
+   */
+  constructor({ mode, dir, inner = null }) {
+    super({ model: inner?.model || 'fixture' });
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Invalid fixture mode '${mode}'. Use 'record' or 'replay'`);
+    }
+    if (mode === 'record' && !inner) {
+      throw new Error('Recording fixtures requires a provider to record from');
+    }
+    this.mode = mode;
+    this.dir = dir;
+    this.inner = inner;
+  }
+
+  get name() {
+    return this.inner ? this.inner.name : 'fixture';
+  }
+
+  get displayName() {
+    return this.inner ? `${this.inner.displayName} (${this.mode})` : 'Fixture replay';
+  }
+
+  getFixturePath(prompt) {
+    return path.join(this.dir, `${hashContent(prompt)}.json`);
+  }
+
+  async generate(prompt, options = {}) {
+    const fixturePath = this.getFixturePath(prompt);
+
+    if (this.mode === 'replay') {
+      try {
+        const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+        console.log(`[Fixtures] Replaying ${path.basename(fixturePath)} (${fixture.provider}/${fixture.response.model})`);
+        return fixture.response;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No recorded fixture for this prompt (${fixturePath}). Record one first with --record-fixtures ${this.dir}`);
+        }
+        throw new Error(`Failed to read fixture ${fixturePath}: ${error.message}`);
+      }
+    }
+
+    const response = await this.inner.generate(prompt, options);
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({
+      recorded_at: new Date().toISOString(),
+      provider: this.inner.name,
+      prompt_hash: path.basename(fixturePath, '.json'),
+      response
+    }, null, 2));
+    console.log(`[Fixtures] Recorded ${path.basename(fixturePath)}`);
+
+    return response;
+  }
+}
+
+export default FixtureProvider;
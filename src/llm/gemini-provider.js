@@ -0,0 +1,112 @@
+import { createHttpClient } from '../utils/http-client.js';
+import LLMProvider from './llm-provider.js';
+
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length'
+};
+
+class GeminiProvider extends LLMProvider {
+  static defaultModel = 'gemini-2.5-flash';
+
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = process.env.GEMINI_API_KEY;
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+
+    // v1beta is required for structured output (responseMimeType/responseSchema)
+    this.baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+    this.apiClient = createHttpClient({
+      name: 'Gemini',
+      timeout: 180000, // 3 minutes
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SEO-Blog-Checker/1.0.0'
+      }
+    });
+  }
+
+  get name() {
+    return 'gemini';
+  }
+
+  get displayName() {
+    return 'Gemini';
+  }
+
+  async generate(prompt, options = {}) {
+    const requestData = {
+      contents: [{
+        parts: [{
+          text: prompt
+        }]
+      }],
+      generationConfig: {
+        temperature: options.temperature,
+        topK: options.topK,
+        topP: options.topP,
+        maxOutputTokens: options.maxOutputTokens
+      }
+    };
+
+    if (options.responseSchema) {
+      requestData.generationConfig.responseMimeType = 'application/json';
+      requestData.generationConfig.responseSchema = this.toGeminiSchema(options.responseSchema);
+    }
+
+    try {
+      console.log('[Gemini] Sending request to:', this.baseUrl);
+      const response = await this.apiClient.post(`${this.baseUrl}?key=${this.apiKey}`, requestData);
+
+      const candidate = response.data?.candidates?.[0];
+      if (!candidate) {
+        console.error('[Gemini] Invalid response format:', response.data);
+        throw new Error('Invalid response format from Gemini API');
+      }
+
+      const usage = response.data.usageMetadata;
+      return {
+        text: candidate.content?.parts?.map(part => part.text || '').join('') || '',
+        finishReason: FINISH_REASONS[candidate.finishReason] || candidate.finishReason,
+        model: response.data.modelVersion || this.model,
+        usage: usage ? {
+          prompt_tokens: usage.promptTokenCount || 0,
+          completion_tokens: usage.candidatesTokenCount || 0,
+          total_tokens: usage.totalTokenCount || 0
+        } : null,
+        raw: response.data
+      };
+    } catch (error) {
+      console.error('[Gemini] Request error:', {
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message,
+        code: error.code
+      });
+      throw this.describeError(error);
+    }
+  }
+
+  /**
+   * Convert a JSON Schema into Gemini's OpenAPI-style schema subset
+   */
+  toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+    if (schema.minimum !== undefined) converted.minimum = schema.minimum;
+    if (schema.maximum !== undefined) converted.maximum = schema.maximum;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.required) converted.required = schema.required;
+    if (schema.items) converted.items = this.toGeminiSchema(schema.items);
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([key, value]) => [key, this.toGeminiSchema(value)])
+      );
+      converted.propertyOrdering = Object.keys(schema.properties);
+    }
+    return converted;
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,44 @@
+import GeminiProvider from './gemini-provider.js';
+import OpenAIProvider from './openai-provider.js';
+import OllamaProvider from './ollama-provider.js';
+import MockProvider from './mock-provider.js';
+import FixtureProvider from './fixture-provider.js';
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create an LLM provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.provider] - Provider name (default: gemini)
+ * @param {string} [options.model] - Model name (default: the provider's default model)
+ * @param {Object} [options.fixtures] - Record or replay responses
+ * @param {string} options.fixtures.mode - 'record' or 'replay'
+ * @param {string} options.fixtures.dir - Fixture directory
+ * @returns {LLMProvider} Provider instance
+ */
+export function createProvider({ provider = 'gemini', model, fixtures } = {}) {
+  const Provider = PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${provider}'. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Replaying never calls the real provider, so don't require its credentials
+  if (fixtures?.mode === 'replay') {
+    return new FixtureProvider(fixtures);
+  }
+
+  const instance = new Provider({ model });
+  if (fixtures?.mode === 'record') {
+    return new FixtureProvider({ ...fixtures, inner: instance });
+  }
+  return instance;
+}
+
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
@@ -0,0 +1,78 @@
+/**
+ * Base class for LLM backends. Providers turn a prompt into a normalized
+ * response so the evaluation code never sees vendor-specific shapes:
+ *
+ *   {
+ *     text: string,            // generated text
+ *     finishReason: string,    // 'stop', 'length' (truncated) or the vendor's own reason
+ *     model: string,           // model that actually produced the response
+ *     usage: { prompt_tokens, completion_tokens, total_tokens } | null,
+ *     raw: Object              // untouched vendor response
+ *   }
+ */
+class LLMProvider {
+  constructor({ model } = {}) {
+    if (new.target === LLMProvider) {
+      throw new Error('LLMProvider is abstract; use createProvider() instead');
+    }
+    this.model = model || this.constructor.defaultModel;
+  }
+
+  /**
+   * Short provider identifier, e.g. 'gemini'
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must define a name`);
+  }
+
+  /**
+   * Human-readable provider name for logs and errors
+   */
+  get displayName() {
+    return this.name;
+  }
+
+  /**
+   * Send a prompt to the model
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Generation options
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {number} [options.topP] - Nucleus sampling threshold
+   * @param {number} [options.topK] - Top-k sampling (ignored where unsupported)
+   * @param {number} [options.maxOutputTokens] - Output token limit
+   * @param {Object} [options.responseSchema] - JSON Schema the response must follow (structured output)
+   * @returns {Promise<Object>} Normalized response
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`${this.constructor.name}.generate() is not implemented`);
+  }
+
+  /**
+   * Turn an axios error into a readable provider error
+   */
+  describeError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      const detail = error.response.data?.error?.message || error.response.data?.error || error.response.statusText;
+      if (status === 429) {
+        return new Error(`${this.displayName} rate limit exceeded. Please try again later.`);
+      }
+      if (status === 404) {
+        return new Error(`${this.displayName} model or endpoint not found (${this.model}). Please check the model name and endpoint URL.`);
+      }
+      return new Error(`${this.displayName} API error (${status}): ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    }
+    if (error.code === 'ECIRCUITOPEN') {
+      return new Error(`${this.displayName} is unavailable: ${error.message}`);
+    }
+    if (error.code === 'ECONNREFUSED') {
+      return new Error(`Cannot connect to ${this.displayName}. Please check the endpoint is reachable.`);
+    }
+    if (error.code === 'ENOTFOUND') {
+      return new Error(`${this.displayName} host not found. Please check the endpoint URL.`);
+    }
+    return error;
+  }
+}
+
+export default LLMProvider;
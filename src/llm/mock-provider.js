@@ -0,0 +1,79 @@
+import LLMProvider from './llm-provider.js';
+import { hashContent } from '../utils/helpers.js';
+
+/**
+ * Offline provider that returns deterministic, schema-valid evaluations.
+ * Scores are derived from a hash of the prompt, so the same post always
+ * gets the same result and different posts get different results.
+ */
+class MockProvider extends LLMProvider {
+  static defaultModel = 'mock-evaluator';
+
+  get name() {
+    return 'mock';
+  }
+
+  get displayName() {
+    return 'Mock LLM';
+  }
+
+  async generate(prompt, options = {}) {
+    const promptHash = hashContent(prompt);
+    const evaluation = {};
+
+    for (const key of this.getDimensionKeys(prompt, options.responseSchema)) {
+      const score = this.scoreFor(promptHash, key);
+      const label = key.replace(/_score$/, '').replace(/_/g, ' ');
+      evaluation[key] = {
+        score,
+        analysis: `Mock analysis of ${label} (deterministic score ${score}/100).`,
+        strengths: [`Mock strength for ${label}`],
+        weaknesses: [`Mock weakness for ${label}`],
+        recommendations: [`Mock recommendation for ${label}`]
+      };
+    }
+
+    evaluation.overall_score = null;
+    evaluation.optimization_recommendation = 'Mock optimization recommendation.';
+    evaluation.priority_recommendations = ['Mock priority recommendation'];
+
+    const text = JSON.stringify(evaluation, null, 2);
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      finishReason: 'stop',
+      model: this.model,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      raw: { mock: true, prompt_hash: promptHash }
+    };
+  }
+
+  /**
+   * Read the dimension keys from the response schema, or failing that
+   * from the JSON output format in the prompt
+   */
+  getDimensionKeys(prompt, responseSchema) {
+    if (responseSchema?.properties) {
+      return Object.keys(responseSchema.properties).filter(key => key.endsWith('_score'));
+    }
+
+    const keys = [...prompt.matchAll(/"(\w+_score)":\s*\{/g)].map(match => match[1]);
+    return keys.length > 0 ? [...new Set(keys)] : ['overall_quality_score'];
+  }
+
+  /**
+   * Deterministic score between 40 and 90 for a prompt and dimension
+   */
+  scoreFor(promptHash, key) {
+    const digest = hashContent(`${promptHash}:${key}`);
+    return 40 + (parseInt(digest.substring(0, 8), 16) % 51);
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,83 @@
+import { createHttpClient } from '../utils/http-client.js';
+import LLMProvider from './llm-provider.js';
+
+/**
+ * Local models served by Ollama (https://ollama.com)
+ */
+class OllamaProvider extends LLMProvider {
+  static defaultModel = 'llama3.1';
+
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = (process.env.OLLAMA_BASE_URL || 'http://localhost:11434').replace(/\/$/, '');
+    this.apiClient = createHttpClient({
+      name: 'Ollama',
+      baseURL: this.baseUrl,
+      timeout: 600000, // 10 minutes - local models can be slow on long prompts
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SEO-Blog-Checker/1.0.0'
+      }
+    });
+  }
+
+  get name() {
+    return 'ollama';
+  }
+
+  get displayName() {
+    return 'Ollama';
+  }
+
+  async generate(prompt, options = {}) {
+    const requestData = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+      options: {
+        temperature: options.temperature,
+        top_p: options.topP,
+        top_k: options.topK,
+        num_predict: options.maxOutputTokens
+      }
+    };
+
+    if (options.responseSchema) {
+      requestData.format = options.responseSchema;
+    }
+
+    try {
+      console.log(`[Ollama] Sending request to: ${this.baseUrl}/api/chat (${this.model})`);
+      const response = await this.apiClient.post('/api/chat', requestData);
+
+      if (!response.data?.message) {
+        console.error('[Ollama] Invalid response format:', response.data);
+        throw new Error('Invalid response format from Ollama');
+      }
+
+      const promptTokens = response.data.prompt_eval_count || 0;
+      const completionTokens = response.data.eval_count || 0;
+      return {
+        text: response.data.message.content || '',
+        finishReason: response.data.done_reason || 'stop',
+        model: response.data.model || this.model,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        },
+        raw: response.data
+      };
+    } catch (error) {
+      console.error('[Ollama] Request error:', {
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message,
+        code: error.code
+      });
+      throw this.describeError(error);
+    }
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,89 @@
+import { createHttpClient } from '../utils/http-client.js';
+import LLMProvider from './llm-provider.js';
+
+/**
+ * Any endpoint speaking the OpenAI chat completions protocol
+ * (OpenAI itself, Azure-style gateways, vLLM, LM Studio, OpenRouter, ...)
+ */
+class OpenAIProvider extends LLMProvider {
+  static defaultModel = 'gpt-4o-mini';
+
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY;
+    if (!this.apiKey && this.baseUrl.includes('api.openai.com')) {
+      throw new Error('OPENAI_API_KEY environment variable is required');
+    }
+
+    this.apiClient = createHttpClient({
+      name: 'OpenAI',
+      baseURL: this.baseUrl,
+      timeout: 180000, // 3 minutes
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SEO-Blog-Checker/1.0.0',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      }
+    });
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get displayName() {
+    return 'OpenAI-compatible endpoint';
+  }
+
+  async generate(prompt, options = {}) {
+    const requestData = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature,
+      top_p: options.topP,
+      max_tokens: options.maxOutputTokens
+    };
+
+    if (options.responseSchema) {
+      requestData.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'seo_evaluation', schema: options.responseSchema }
+      };
+    }
+
+    try {
+      console.log(`[OpenAI] Sending request to: ${this.baseUrl}/chat/completions (${this.model})`);
+      const response = await this.apiClient.post('/chat/completions', requestData);
+
+      const choice = response.data?.choices?.[0];
+      if (!choice) {
+        console.error('[OpenAI] Invalid response format:', response.data);
+        throw new Error('Invalid response format from OpenAI-compatible endpoint');
+      }
+
+      const usage = response.data.usage;
+      return {
+        text: choice.message?.content || '',
+        finishReason: choice.finish_reason,
+        model: response.data.model || this.model,
+        usage: usage ? {
+          prompt_tokens: usage.prompt_tokens || 0,
+          completion_tokens: usage.completion_tokens || 0,
+          total_tokens: usage.total_tokens || 0
+        } : null,
+        raw: response.data
+      };
+    } catch (error) {
+      console.error('[OpenAI] Request error:', {
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message,
+        code: error.code
+      });
+      throw this.describeError(error);
+    }
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,69 @@
+/**
+ * Check whether any section selectors were passed to evaluate. --type and
+ * --status only narrow a selection, so listing every matching post still
+ * needs --all or another selector.
+ * @param {Object} options - Command options
+ * @returns {boolean} True if posts should be listed from WordPress
+ */
+export function hasPostSelectors(options) {
+  return Boolean(options.all || options.category || options.tag || options.author ||
+    options.modifiedBefore || options.modifiedAfter);
+}
+
+/**
+ * Parse the --status option
+ * @param {string} [value] - Comma-separated statuses
+ * @returns {Array<string>|undefined} Statuses, or undefined for the client default (publish)
+ */
+export function parseStatuses(value) {
+  if (!value) return undefined;
+  return value.split(',').map(status => status.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Turn section selectors into WordPress listing filters, resolving names to IDs
+ * @param {Object} options - Command options
+ * @param {WordPressClient|OfflineSource} wordpressClient - Post source from createPostSource()
+ * @returns {Promise<Object>} Filters for WordPressClient.listPosts
+ */
+export async function buildPostFilters(options, wordpressClient) {
+  const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  const filters = {};
+
+  if (options.category) {
+    filters.categories = await wordpressClient.resolveTermIds('categories', splitList(options.category));
+  }
+  if (options.tag) {
+    filters.tags = await wordpressClient.resolveTermIds('tags', splitList(options.tag));
+  }
+  if (options.author) {
+    filters.author = await wordpressClient.resolveAuthorId(options.author);
+  }
+  if (options.modifiedBefore) filters.modifiedBefore = options.modifiedBefore;
+  if (options.modifiedAfter) filters.modifiedAfter = options.modifiedAfter;
+
+  return filters;
+}
+
+/**
+ * List the posts matching the section selectors as post identifiers.
+ * Listed posts are fetched by ID: drafts that were never published have
+ * an empty slug, and WordPress ignores an empty slug filter.
+ * @param {Object} options - Command options
+ * @param {WordPressClient|OfflineSource} wordpressClient - Post source from createPostSource()
+ * @returns {Promise<Array>} Identifiers of type 'id', with the slug (if any) for logs
+ */
+export async function listPostIdentifiers(options, wordpressClient) {
+  const filters = await buildPostFilters(options, wordpressClient);
+  const posts = await wordpressClient.listPosts(filters);
+  return posts.map(post => ({ type: 'id', value: post.id, slug: post.slug || null }));
+}
+
+/**
+ * Name of a post for logs and errors: its slug, or its ID when it has none
+ * @param {Object} identifier - Post identifier
+ * @returns {string} Label
+ */
+export function describeIdentifier(identifier) {
+  return identifier.slug || String(identifier.value);
+}
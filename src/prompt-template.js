@@ -0,0 +1,98 @@
+import { hashContent } from './utils/helpers.js';
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+
+// Variables filled in by GeminiClient for every prompt. Templates may also use
+// any variable declared under prompt.variables in the evaluation config.
+export const BUILT_IN_VARIABLES = [
+  'post.title', 'post.content', 'post.meta_description', 'post.keywords', 'post.url', 'post.last_modified',
+  'post.seo_title', 'post.seo_canonical', 'post.focus_keyword', 'post.noindex', 'post.nofollow',
+  'post.og_title', 'post.og_description', 'post.og_image',
+  'post.twitter_title', 'post.twitter_description', 'post.twitter_image',
+  'post.canonical_url', 'post.robots', 'post.word_count', 'post.headers', 'post.link_audit', 'post.image_audit', 'post.readability', 'post.keyword_analysis',
+  'post.last_meaningful_update', 'post.revision_summary',
+  'post.author_name', 'post.author_bio', 'post.author_url', 'post.categories', 'post.tags', 'post.featured_image',
+  'criteria', 'expectations', 'formula', 'weights', 'output_format', 'section_note'
+];
+
+/**
+ * Replace {{name}} placeholders with values. Values are inserted as-is and
+ * never re-scanned, so post content containing braces is safe.
+ * @param {string} text - Text with placeholders
+ * @param {Object} values - Values keyed by placeholder name
+ * @param {string} source - What is being rendered, for error messages
+ * @returns {string} Rendered text
+ */
+export function renderVariables(text, values, source = 'prompt template') {
+  return text.replace(PLACEHOLDER, (placeholder, name) => {
+    if (!(name in values)) {
+      throw new Error(`Unknown variable ${placeholder} in ${source}`);
+    }
+    return String(values[name] ?? '');
+  });
+}
+
+/**
+ * Evaluation prompt loaded from config/evaluation/prompts, with the
+ * brand/audience/locale variables from the evaluation config
+ */
+class PromptTemplate {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Template name (file name without .md)
+   * @param {string} options.text - Template text
+   * @param {string} options.version - Version set in the evaluation config
+   * @param {Object} [options.variables] - Config variables, e.g. { brand, audience, locale }
+   */
+  constructor({ name, text, version, variables = {} }) {
+    this.name = name;
+    this.text = text;
+    this.version = String(version);
+    this.variables = variables;
+  }
+
+  /**
+   * Version stamped into evaluations and reports, e.g. hostelworld@2
+   */
+  get id() {
+    return `${this.name}@${this.version}`;
+  }
+
+  /**
+   * Hash of the template text and variables. Part of the cache key, so
+   * editing a template without bumping its version still invalidates the cache.
+   */
+  get fingerprint() {
+    return hashContent({ text: this.text, variables: this.variables }).substring(0, 12);
+  }
+
+  /**
+   * Names of every placeholder used in the template
+   * @returns {Array<string>} Placeholder names
+   */
+  getPlaceholders() {
+    return [...new Set([...this.text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+  }
+
+  /**
+   * Check that every placeholder is a built-in or a config variable
+   */
+  validate() {
+    const unknown = this.getPlaceholders()
+      .filter(name => !BUILT_IN_VARIABLES.includes(name) && !(name in this.variables));
+    if (unknown.length > 0) {
+      throw new Error(`Prompt template '${this.name}' uses undefined variables: ${unknown.join(', ')}. Declare them under prompt.variables in the evaluation config`);
+    }
+  }
+
+  /**
+   * Render the prompt
+   * @param {Object} values - Built-in variable values
+   * @returns {string} Prompt text
+   */
+  render(values) {
+    return renderVariables(this.text, { ...this.variables, ...values }, `prompt template '${this.name}'`);
+  }
+}
+
+export default PromptTemplate;
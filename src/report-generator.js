@@ -1,9 +1,16 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { hashContent } from './utils/helpers.js';
+import { describeImage } from './utils/image-audit.js';
+import { describeReadingEase } from './utils/readability.js';
+import { PLACEMENT_LABELS, formatPlacement } from './utils/keyword-analysis.js';
+import CriteriaModel from './criteria-model.js';
+import { formatCost } from './utils/cost-tracker.js';
 
 class ReportGenerator {
   constructor(evaluationConfig) {
     this.config = evaluationConfig;
+    this.criteria = new CriteriaModel(evaluationConfig);
     this.reportsDir = process.env.REPORTS_DIR || 'reports';
   }
 
@@ -21,11 +28,63 @@ class ReportGenerator {
         slug: extractedContent.slug,
         timestamp,
         overall_score: evaluation.overall_score,
-        url: extractedContent.url
+        url: extractedContent.url,
+        last_modified: extractedContent.last_modified || null,
+        post_type: extractedContent.post_type || null,
+        post_status: extractedContent.post_status || null,
+        last_meaningful_update: extractedContent.last_meaningful_update || null,
+        links: extractedContent.link_audit ? {
+          counts: extractedContent.link_audit.counts,
+          broken: extractedContent.link_audit.checked ? extractedContent.link_audit.broken.length : null
+        } : null,
+        image_score: extractedContent.image_audit?.score ?? null,
+        flesch_reading_ease: extractedContent.readability?.flesch_reading_ease ?? null,
+        keyword_analysis: extractedContent.keyword_analysis ? {
+          keyphrase: extractedContent.keyword_analysis.keyphrase,
+          score: extractedContent.keyword_analysis.score,
+          density: extractedContent.keyword_analysis.density,
+          over_optimized: extractedContent.keyword_analysis.over_optimized
+        } : null,
+        content_hash: hashContent(extractedContent),
+        prompt_version: evaluation.prompt_version || null,
+        evaluation_config_hash: this.getConfigHash(),
+        usage: evaluation.usage || null,
+        cost: evaluation.cost ?? null
       }
     };
   }
 
+  /**
+   * Fingerprint of the evaluation config and its prompt template, so
+   * incremental runs can tell when the criteria or prompt have changed
+   * @returns {string} Hash
+   */
+  getConfigHash() {
+    const { prompt_template: template, ...config } = this.config;
+    return hashContent({ config, template: template?.fingerprint || null });
+  }
+
+  /**
+   * Warn that the report describes content readers can't see yet. Scraped
+   * pages have no post status and are always live.
+   */
+  generateUnpublishedBanner(content) {
+    if (!content.post_status || content.post_status === 'publish') {
+      return '';
+    }
+
+    const descriptions = {
+      draft: 'a draft',
+      pending: 'a draft pending review',
+      future: 'a scheduled post',
+      private: 'a private post'
+    };
+    const description = descriptions[content.post_status] || `a post with status '${content.post_status}'`;
+    return `
+> ⚠️ **Unpublished content:** this report was generated from ${description}, not a public page. Re-run the evaluation once it is published.
+`;
+  }
+
   /**
    * Build detailed analytical report in the requested format
    */
@@ -33,10 +92,13 @@ class ReportGenerator {
     return `# SEO Analysis Report
 
 **Post Title:** ${content.title || 'N/A'}  
-**URL:** ${content.url || 'N/A'}  
+**URL:** ${content.url || 'N/A'}  ${content.post_type ? `
+**Post Type:** ${content.post_type}  ` : ''}
 **Analysis Date:** ${new Date(timestamp).toLocaleDateString()}  
-**AI Model:** ${evaluation.model || 'gemini-1.5-flash'}
-
+**AI Model:** ${evaluation.model || 'Unknown'}${evaluation.provider ? ` (${evaluation.provider})` : ''}  
+**Prompt Version:** ${evaluation.prompt_version || 'Unknown'}${evaluation.cache?.hit ? `  
+**Cached Evaluation:** ${new Date(evaluation.cache.stored_at).toLocaleDateString()}` : ''}
+${this.generateUnpublishedBanner(content)}
 ## Overall Score: ${this.getScoreEmoji(evaluation.overall_score)} ${evaluation.overall_score}/100
 
 ${this.generateScoreBar(evaluation.overall_score)}
@@ -48,47 +110,446 @@ ${this.generateScoreBar(evaluation.overall_score)}
 ${this.generateScoreTable(evaluation)}
 
 ---
-
+${this.generatePostDetails(content)}${this.generateRevisionHistory(content)}${this.generateLinkAudit(content)}${this.generateImageAudit(content)}${this.generateReadability(content)}${this.generateKeywordAnalysis(content)}
 ## Analysis of Scores
 
 ${this.generateDetailedScoreAnalysis(evaluation, content)}
 
 ---
-
+${this.generateScoreStability(evaluation)}${this.generateSectionNotes(evaluation)}
 ## Optimization Recommendation
 
 ${this.generateOptimizationRecommendation(evaluation, content)}
 
 ---
 
+${this.generateUsageFooter(evaluation)}
 *Report generated by SEO Blog Checker v1.0.0*`;
   }
 
+  /**
+   * Author, taxonomy and featured image details the evaluation was given.
+   * Empty for scraped pages, which don't have them.
+   */
+  generatePostDetails(content) {
+    const lines = [];
+
+    if (content.author_name) {
+      const author = content.author_url ? `[${content.author_name}](${content.author_url})` : content.author_name;
+      lines.push(`- **Author:** ${author}${content.author_bio ? ` — ${content.author_bio}` : ' (no author bio)'}`);
+    }
+    if (content.category_names?.length) {
+      lines.push(`- **Categories:** ${content.category_names.join(', ')}`);
+    }
+    if (content.tag_names?.length) {
+      lines.push(`- **Tags:** ${content.tag_names.join(', ')}`);
+    }
+    if (content.featured_image_url) {
+      const size = content.featured_image_width && content.featured_image_height
+        ? `${content.featured_image_width}×${content.featured_image_height}, `
+        : '';
+      const alt = content.featured_image_alt ? `alt text: "${content.featured_image_alt}"` : '⚠️ no alt text';
+      lines.push(`- **Featured Image:** [${content.featured_image_url}](${content.featured_image_url}) (${size}${alt})`);
+    }
+
+    if (lines.length === 0) {
+      return '';
+    }
+
+    return `
+## Post Details
+
+${lines.join('\n')}
+
+---
+`;
+  }
+
+  /**
+   * Link counts, attributes and status check results measured by the tool,
+   * independent of the model's judgement
+   */
+  generateLinkAudit(content) {
+    const audit = content.link_audit;
+    if (!audit) {
+      return '';
+    }
+
+    const linkList = (links, describe) => links.slice(0, 20).map(link => `- ${describe(link)}: [${link.text || link.url}](${link.url})`).join('\n');
+    let section = `
+## Link Audit
+
+| Internal | Property | External | Affiliate | Other | Nofollow | Sponsored | Generic Anchors |
+|----------|----------|----------|-----------|-------|----------|-----------|-----------------|
+| ${audit.counts.internal} | ${audit.counts.property} | ${audit.counts.external} | ${audit.counts.affiliate} | ${audit.counts.other} | ${audit.nofollow} | ${audit.sponsored} | ${audit.generic_anchors} |
+`;
+
+    if (!audit.checked) {
+      section += `
+Link status was not checked. Run with \`--check-links\` to find broken links.
+`;
+    } else if (audit.broken.length === 0 && audit.redirected.length === 0) {
+      section += `
+✅ All checked links resolve without redirects${audit.unverified.length ? ` (${audit.unverified.length} could not be verified)` : ''}.
+`;
+    } else {
+      if (audit.broken.length > 0) {
+        section += `
+### ❌ Broken Links (${audit.broken.length})
+
+${linkList(audit.broken, link => link.status || link.error)}
+`;
+      }
+      if (audit.redirected.length > 0) {
+        section += `
+### ↪️ Redirected Links (${audit.redirected.length})
+
+${linkList(audit.redirected, link => `${link.redirects.map(hop => hop.status).join(' → ')} → ${link.final_url}`)}
+`;
+      }
+      if (audit.unverified.length > 0) {
+        section += `
+Could not be verified (access denied, rate limited or timed out): ${audit.unverified.length}
+`;
+      }
+    }
+
+    if (audit.issues.length > 0) {
+      section += `
+### Link Issues
+
+${audit.issues.slice(0, 20).map(issue => `- ${issue}`).join('\n')}
+`;
+    }
+
+    return `${section}
+---
+`;
+  }
+
+  /**
+   * Image checks measured by the tool, with every finding pointing at the
+   * image it is about (numbered in content order)
+   */
+  generateImageAudit(content) {
+    const audit = content.image_audit;
+    if (!audit) {
+      return '';
+    }
+
+    const headline = audit.score === null
+      ? 'No images in the content.'
+      : `**Image Score: ${audit.score}/100** across ${audit.image_count} images.`;
+    const rows = Object.values(audit.checks)
+      .filter(check => check.total > 0)
+      .map(check => `| ${check.label} | ${check.total - check.failed}/${check.total} | ${check.failed === 0 ? '✅' : '⚠️'} |`);
+
+    // Group findings by image so each image's problems are listed together
+    const byImage = new Map();
+    for (const finding of audit.findings) {
+      const key = finding.image ?? 'featured';
+      if (!byImage.has(key)) byImage.set(key, { finding, messages: [] });
+      byImage.get(key).messages.push(finding.message);
+    }
+    const findings = [...byImage.values()].map(({ finding, messages }) => {
+      const label = finding.src ? `[${describeImage(finding)}](${finding.src})` : describeImage(finding);
+      return `- ${label}: ${messages.join('; ')}`;
+    });
+
+    return `
+## Image Audit
+
+${headline}
+
+| Check | Passing | |
+|-------|---------|---|
+${rows.join('\n')}
+${findings.length > 0 ? `
+### Findings
+
+${findings.join('\n')}
+` : ''}
+---
+`;
+  }
+
+  /**
+   * Readability metrics computed locally from the content text
+   */
+  generateReadability(content) {
+    const metrics = content.readability;
+    if (!metrics) {
+      return '';
+    }
+
+    const rows = [
+      `| Flesch Reading Ease | ${metrics.flesch_reading_ease} | ${describeReadingEase(metrics.flesch_reading_ease)}${metrics.language_supported ? '' : ' (English formula; language not supported)'} |`
+    ];
+    if (metrics.flesch_kincaid_grade !== null) {
+      rows.push(`| Flesch-Kincaid Grade | ${metrics.flesch_kincaid_grade} | US school grade needed to follow the text |`);
+    }
+    rows.push(`| Average Sentence Length | ${metrics.avg_sentence_length} words | ${metrics.sentences} sentences |`);
+    rows.push(`| Average Paragraph Length | ${metrics.avg_paragraph_length} words | ${metrics.paragraphs} paragraphs |`);
+    if (metrics.passive_voice_ratio !== null) {
+      rows.push(`| Passive Voice | ${Math.round(metrics.passive_voice_ratio * 100)}% | of sentences |`);
+    }
+    rows.push(`| Long Sentences | ${metrics.long_sentences.length} | over ${metrics.long_sentence_threshold} words |`);
+
+    const longSentences = metrics.long_sentences.slice(0, 10)
+      .map(sentence => `- **${sentence.words} words:** "${sentence.text}"`);
+
+    return `
+## Readability
+
+| Metric | Value | Notes |
+|--------|-------|-------|
+${rows.join('\n')}
+${longSentences.length > 0 ? `
+### Long Sentences
+
+${longSentences.join('\n')}
+` : ''}
+---
+`;
+  }
+
+  /**
+   * Focus keyphrase density and placement, scored against the keyword_density targets
+   */
+  generateKeywordAnalysis(content) {
+    const analysis = content.keyword_analysis;
+    if (!analysis) {
+      return '';
+    }
+
+    const { target, min, max } = analysis.density_target;
+    const placements = Object.entries(analysis.placements)
+      .map(([placement, result]) => `| ${PLACEMENT_LABELS[placement]} | ${formatPlacement(result)} |`);
+    const warnings = analysis.warnings.map(warning => `- ⚠️ ${warning}`);
+
+    return `
+## Keyword Analysis
+
+**Focus keyphrase:** ${analysis.keyphrase} | **Keyword score:** ${analysis.score}/100
+
+- **Density:** ${analysis.density}% (${analysis.occurrences} occurrences in ${analysis.words} words; target ${target}%, range ${min}-${max}%)
+- **Exact matches:** ${analysis.exact_occurrences} of ${analysis.occurrences}
+${analysis.variants.length > 1 ? `- **Forms used:** ${analysis.variants.join(', ')}\n` : ''}
+| Placement | Keyphrase |
+|-----------|-----------|
+${placements.join('\n')}
+${warnings.length > 0 ? `
+${warnings.join('\n')}
+` : ''}
+---
+`;
+  }
+
+  /**
+   * Recent edits from the revision history, so readers can see whether the
+   * last modified date reflects a real update. Needs WordPress authentication.
+   */
+  generateRevisionHistory(content) {
+    const history = content.revision_history;
+    if (!history) {
+      return '';
+    }
+
+    const formatDate = date => new Date(date).toLocaleDateString();
+    let summary;
+    if (history.last_meaningful_update_basis === 'published') {
+      summary = `⚠️ No meaningful update since the post was published on ${formatDate(history.last_meaningful_update)}; later edits (up to ${formatDate(history.last_edit)}) were minor.`;
+    } else if (history.last_meaningful_update_basis === 'earliest_fetched_revision') {
+      summary = `⚠️ No meaningful update since at least ${formatDate(history.last_meaningful_update)} (the earliest fetched revision); later edits (up to ${formatDate(history.last_edit)}) were minor. Older revisions weren't checked.`;
+    } else if (history.last_meaningful_update === history.last_edit) {
+      summary = `The last edit (${formatDate(history.last_edit)}) was a meaningful update.`;
+    } else {
+      summary = `⚠️ The last meaningful update was on ${formatDate(history.last_meaningful_update)}; later edits (up to ${formatDate(history.last_edit)}) were minor.`;
+    }
+    const rows = history.edits.slice(0, 10).map(edit => {
+      const sections = [
+        ...edit.sections_added.map(title => `+ ${title}`),
+        ...edit.sections_removed.map(title => `− ${title}`)
+      ].join(', ') || '—';
+      return `| ${formatDate(edit.date)} | +${edit.words_added} / −${edit.words_removed} | ${sections} | ${edit.metadata_changed.join(', ') || '—'} | ${edit.meaningful ? 'Meaningful' : 'Minor'} |`;
+    });
+
+    return `
+## Revision History
+
+${summary} Based on the last ${history.revision_count} revisions.
+${rows.length > 0 ? `
+| Date | Words | Sections | Metadata | Edit |
+|------|-------|----------|----------|------|
+${rows.join('\n')}
+` : ''}
+---
+`;
+  }
+
+  /**
+   * Median, range and spread per dimension when a post was evaluated
+   * with several samples
+   */
+  generateScoreStability(evaluation) {
+    const sampling = evaluation.sampling;
+    if (!sampling || sampling.samples < 2) {
+      return '';
+    }
+
+    const rows = this.criteria.getMetrics()
+      .filter(metric => sampling.dimensions[metric.key])
+      .map(metric => {
+        const { median, min, max, spread, low_confidence } = sampling.dimensions[metric.key];
+        return `| ${metric.name} | ${median} | ${min}-${max} | ${spread} | ${low_confidence ? '⚠️ Low' : '✅ OK'} |`;
+      });
+    const flagged = sampling.low_confidence.map(key => this.criteria.get(key)?.name || key);
+
+    return `
+## Score Stability
+
+Scores are the median of ${sampling.samples} evaluations. Overall scores per sample: ${sampling.overall_scores.join(', ')}.
+
+| Metric | Median | Range | Spread | Confidence |
+|--------|--------|-------|--------|------------|
+${rows.join('\n')}
+
+${flagged.length > 0
+    ? `⚠️ **Low confidence:** ${flagged.join(', ')}. These scores varied by more than ${sampling.spread_threshold} points between samples, so treat changes in them with caution.`
+    : `All dimensions stayed within ${sampling.spread_threshold} points across samples.`}
+
+---
+`;
+  }
+
+  /**
+   * Section-by-section results for long posts that were evaluated in
+   * sections, or a notice when the content was truncated
+   */
+  generateSectionNotes(evaluation) {
+    if (evaluation.truncated) {
+      const { evaluated_words, total_words } = evaluation.truncated;
+      return `
+## Long Content Notice
+
+⚠️ This post was too long for the prompt budget. Only the first ${evaluated_words} of ${total_words} words were evaluated, so scores may not reflect the rest of the article.
+
+---
+`;
+    }
+
+    if (!evaluation.sections?.length) {
+      return '';
+    }
+
+    const metrics = this.criteria.getMetrics();
+    const header = `| Section | Words | Overall | ${metrics.map(metric => metric.name).join(' | ')} |`;
+    const divider = `|${'---------|'.repeat(metrics.length + 3)}`;
+    const rows = evaluation.sections.map(section =>
+      `| ${section.title} | ${section.word_count} | ${section.overall_score} | ${metrics.map(metric => section.scores[metric.key] ?? '-').join(' | ')} |`
+    );
+    const notes = evaluation.sections
+      .filter(section => section.notes)
+      .map(section => `**${section.title}** (${section.overall_score}/100): ${section.notes}`);
+
+    return `
+## Section-by-Section Notes
+
+This post was evaluated in ${evaluation.sections.length} sections, split at its H2 headings. Dimension scores above are averages of the section scores, weighted by word count.
+
+${header}
+${divider}
+${rows.join('\n')}
+
+${notes.join('\n\n')}
+
+---
+`;
+  }
+
+  /**
+   * Token usage and cost line for the report footer
+   */
+  generateUsageFooter(evaluation) {
+    if (evaluation.cache?.hit) {
+      return '*LLM usage: served from cache, no tokens used*  ';
+    }
+    if (!evaluation.usage) {
+      return '';
+    }
+
+    const { requests, prompt_tokens, completion_tokens, total_tokens } = evaluation.usage;
+    return `*LLM usage: ${total_tokens.toLocaleString()} tokens (prompt ${prompt_tokens.toLocaleString()}, completion ${completion_tokens.toLocaleString()}) over ${requests} request(s) · Estimated cost: ${formatCost(evaluation.cost)}*  `;
+  }
+
   /**
    * Generate detailed analysis for each score component
    */
   generateDetailedScoreAnalysis(evaluation, content) {
     const sections = [];
 
-    // Handle both old and new evaluation formats
-    if (evaluation.eeat_score) {
-      // New Hostelworld format
-      sections.push(this.analyzeEEATScore(evaluation.eeat_score, content));
-      sections.push(this.analyzeTechnicalScore(evaluation.technical_score, content));
-      sections.push(this.analyzeRelevanceScore(evaluation.relevance_score, content));
-      sections.push(this.analyzeTextQualityScore(evaluation.text_quality_score, content));
-      sections.push(this.analyzeAIOptimizationScore(evaluation.ai_optimization_score, content));
-      sections.push(this.analyzeFreshnessScore(evaluation.freshness_score, content));
+    // Dimensions with dedicated analysis add content-based observations;
+    // any other configured criterion gets the generic analysis
+    const analyzers = {
+      eeat_score: this.analyzeEEATScore,
+      technical_score: this.analyzeTechnicalScore,
+      relevance_score: this.analyzeRelevanceScore,
+      text_quality_score: this.analyzeTextQualityScore,
+      ai_optimization_score: this.analyzeAIOptimizationScore,
+      freshness_score: this.analyzeFreshnessScore
+    };
+
+    const configured = this.criteria.criteria.filter(criterion => evaluation[criterion.outputKey]);
+    if (configured.length > 0) {
+      configured.forEach(criterion => {
+        const data = evaluation[criterion.outputKey];
+        const analyzer = analyzers[criterion.outputKey];
+        sections.push(analyzer ? analyzer.call(this, data, content) : this.analyzeDimension(criterion.name, data, content));
+      });
     } else if (evaluation.dimensions) {
       // New structured format with dimensions
       Object.entries(evaluation.dimensions).forEach(([key, dimension]) => {
-        sections.push(this.analyzeDimension(key, dimension, content));
+        sections.push(this.analyzeDimension(this.formatDimensionName(key), dimension, content));
       });
     }
 
     return sections.join('\n\n');
   }
 
+  /**
+   * Generic analysis for criteria without a dedicated analyzer
+   */
+  analyzeDimension(name, data, content) {
+    const score = data.score;
+    let insights = `**${name} (${score}/100)**: `;
+
+    if (score >= 80) {
+      insights += `This area is performing well. `;
+    } else if (score >= 60) {
+      insights += `This area is solid but has optimization opportunities. `;
+    } else {
+      insights += `This area has significant improvement opportunities. `;
+    }
+
+    insights += data.analysis || '';
+
+    if (score >= 70 && data.strengths && data.strengths.length > 0) {
+      insights += '\n\n**What\'s Working Well:**\n';
+      data.strengths.forEach((strength, index) => {
+        insights += `${index + 1}. ${strength}\n`;
+      });
+    }
+
+    if (data.recommendations && data.recommendations.length > 0) {
+      insights += `\n\n**${name} Opportunities:**\n`;
+      data.recommendations.forEach((rec, index) => {
+        insights += `${index + 1}. ${this.makeAssertive(rec)}\n`;
+      });
+    }
+
+    return insights;
+  }
+
   /**
    * Analyze EEAT Score with detailed insights
    */
@@ -251,9 +712,8 @@ ${this.generateOptimizationRecommendation(evaluation, content)}
     insights += analysis;
 
     // Add content analysis with assertive language
-    if (content.content) {
-      const sentences = content.content.split(/[.!?]+/).length;
-      const avgWordsPerSentence = content.word_count ? Math.round(content.word_count / sentences) : 0;
+    if (content.readability) {
+      const avgWordsPerSentence = Math.round(content.readability.avg_sentence_length);
       
       if (avgWordsPerSentence <= 20) {
         insights += ` The content uses optimal sentence length (avg ${avgWordsPerSentence} words/sentence) for readability.`;
@@ -305,11 +765,11 @@ ${this.generateOptimizationRecommendation(evaluation, content)}
     insights += analysis;
 
     // Add readability analysis with assertive language
-    if (content.content && content.word_count) {
-      const paragraphs = content.content.split('\n\n').filter(p => p.trim().length > 0).length;
-      const avgWordsPerParagraph = Math.round(content.word_count / paragraphs);
+    if (content.readability) {
+      const { paragraphs, flesch_reading_ease: readingEase } = content.readability;
+      const avgWordsPerParagraph = Math.round(content.readability.avg_paragraph_length);
       
-      insights += ` The content has ${paragraphs} paragraphs averaging ${avgWordsPerParagraph} words each.`;
+      insights += ` The content has ${paragraphs} paragraphs averaging ${avgWordsPerParagraph} words each, with a Flesch Reading Ease of ${readingEase} (${describeReadingEase(readingEase).toLowerCase()}).`;
       
       if (avgWordsPerParagraph <= 100) {
         insights += ` This creates excellent readability and scannable content.`;
@@ -612,25 +1072,19 @@ ${this.generateOptimizationRecommendation(evaluation, content)}
     let table = `| Metric | Score | Weight | Weighted Score | Status |\n`;
     table += `|--------|-------|--------|----------------|--------|\n`;
 
-    if (evaluation.eeat_score) {
-      // Hostelworld format with individual scores
-      const metrics = [
-        { key: 'eeat_score', name: 'EEAT Score', weight: 20 },
-        { key: 'technical_score', name: 'Technical Score', weight: 10 },
-        { key: 'relevance_score', name: 'Relevance Score', weight: 20 },
-        { key: 'text_quality_score', name: 'Text Quality Score', weight: 10 },
-        { key: 'ai_optimization_score', name: 'AI Optimization Score', weight: 25 },
-        { key: 'freshness_score', name: 'Freshness Score', weight: 15 }
-      ];
+    const metrics = this.criteria.getMetrics();
 
+    if (metrics.some(metric => evaluation[metric.key])) {
+      // Criteria and weights come from the evaluation config
       metrics.forEach(metric => {
         if (evaluation[metric.key]) {
           const score = evaluation[metric.key].score;
           const weightedScore = (score * metric.weight / 100).toFixed(1);
           const status = this.getScoreStatus(score);
           const emoji = this.getScoreEmoji(score);
+          const lowConfidence = evaluation.sampling?.dimensions?.[metric.key]?.low_confidence ? ' ⚠️' : '';
           
-          table += `| ${metric.name} | ${score}/100 | ${metric.weight}% | ${weightedScore} | ${emoji} ${status} |\n`;
+          table += `| ${metric.name} | ${score}/100${lowConfidence} | ${metric.weight}% | ${weightedScore} | ${emoji} ${status} |\n`;
         }
       });
 
@@ -702,6 +1156,32 @@ ${this.generateOptimizationRecommendation(evaluation, content)}
     return reportPath;
   }
 
+  /**
+   * Save report metadata alongside the report so later runs can tell
+   * whether the post has changed since it was last evaluated
+   */
+  async saveMetadata(slug, metadata) {
+    const slugDir = path.join(this.reportsDir, slug);
+    await fs.mkdir(slugDir, { recursive: true });
+    await fs.writeFile(path.join(slugDir, 'metadata.json'), JSON.stringify(metadata, null, 2), 'utf8');
+  }
+
+  /**
+   * Load metadata recorded for the last report of a slug
+   * @returns {Promise<Object|null>} Metadata, or null if there is no previous report
+   */
+  async loadMetadata(slug) {
+    try {
+      const data = await fs.readFile(path.join(this.reportsDir, slug, 'metadata.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable metadata for ${slug}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
   /**
    * Convert suggestions to assertive language
    */
@@ -0,0 +1,33 @@
+import WordPressClient from '../wordpress-client.js';
+import WxrSource from './wxr-source.js';
+import JsonDirSource from './json-dir-source.js';
+
+const OFFLINE_SOURCES = {
+  [WxrSource.prefix]: WxrSource,
+  [JsonDirSource.prefix]: JsonDirSource
+};
+
+/**
+ * Create the source posts are read from: the live REST API, or an offline
+ * copy given as "<kind>:<path>", e.g. wxr:export.xml or json-dir:dumps/
+ * @param {Object} [options]
+ * @param {string} [options.source] - Source specifier (default: the live site from WORDPRESS_BASE_URL)
+ * @param {Array<string>} [options.statuses] - Post statuses to include (default: publish only)
+ * @param {string} [options.type] - Post type (default: post)
+ * @param {Object} [options.revisions] - Revision analysis settings (live site only)
+ * @returns {WordPressClient|OfflineSource} Source with getPost(), listPosts(), resolveTermIds() and resolveAuthorId()
+ */
+export function createPostSource({ source, statuses, type, revisions } = {}) {
+  if (!source || source === 'wordpress') {
+    return new WordPressClient({ statuses, type, revisions });
+  }
+
+  const separator = source.indexOf(':');
+  const kind = separator === -1 ? source : source.substring(0, separator);
+  const Source = OFFLINE_SOURCES[kind];
+  if (!Source) {
+    throw new Error(`Unknown source '${source}'. Use wordpress, ${Object.keys(OFFLINE_SOURCES).map(prefix => `${prefix}:<path>`).join(' or ')}`);
+  }
+
+  return new Source({ location: separator === -1 ? '' : source.substring(separator + 1), statuses, type });
+}
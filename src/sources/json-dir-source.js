@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import OfflineSource from './offline-source.js';
+
+/**
+ * Posts from saved REST API responses: a directory of .json files, each
+ * holding one post object or an array of them, e.g. from
+ *   curl "https://example.com/wp-json/wp/v2/posts?_embed=1&per_page=100&page=1" > posts-1.json
+ * Save with _embed=1 so author, term and featured image details are included.
+ */
+class JsonDirSource extends OfflineSource {
+  static prefix = 'json-dir';
+
+  get description() {
+    return `REST JSON directory ${this.location}`;
+  }
+
+  async readPosts() {
+    let files;
+    try {
+      files = await fs.readdir(this.location, { recursive: true });
+    } catch (error) {
+      throw new Error(`Cannot read REST JSON directory '${this.location}': ${error.message}`);
+    }
+
+    const posts = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const filepath = path.join(this.location, file);
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(filepath, 'utf8'));
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${filepath}: ${error.message}`);
+      }
+
+      // Drafts that were never published have an empty slug
+      const entries = (Array.isArray(data) ? data : [data]).filter(entry => entry?.id && typeof entry.slug === 'string' && entry.type);
+      if (entries.length === 0) {
+        // Other saved responses (types, users, ...) can live alongside the posts
+        console.warn(`[Source] Skipping ${filepath}: no post objects found`);
+      }
+      posts.push(...entries);
+    }
+
+    // The same post may have been saved more than once; keep the most recently modified copy
+    const byKey = new Map();
+    for (const post of posts) {
+      const key = `${post.type}:${post.id}`;
+      const existing = byKey.get(key);
+      if (!existing || new Date(post.modified) > new Date(existing.modified)) {
+        byKey.set(key, post);
+      }
+    }
+    return [...byKey.values()];
+  }
+}
+
+export default JsonDirSource;
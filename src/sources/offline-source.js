@@ -0,0 +1,168 @@
+import { POST_STATUSES, INTERNAL_POST_TYPES, slugify, decodeEntities, normalizePostData } from '../wordpress-data.js';
+
+// REST bases of the built-in types, so --type posts/pages works offline too
+const TYPE_ALIASES = { posts: 'post', pages: 'page' };
+
+/**
+ * Base class for post sources that read a saved copy of a site instead of
+ * calling its REST API. Subclasses load every post as a REST-shaped object
+ * (with _embedded author, terms and featured media where known); selection,
+ * term and author lookups and normalization work the same as WordPressClient.
+ */
+class OfflineSource {
+  /**
+   * @param {Object} options
+   * @param {string} options.location - File or directory to read
+   * @param {Array<string>} [options.statuses] - Post statuses to include (default: publish only)
+   * @param {string} [options.type] - Post type (default: post)
+   */
+  constructor({ location, statuses, type } = {}) {
+    if (new.target === OfflineSource) {
+      throw new Error('OfflineSource is abstract; use createPostSource() instead');
+    }
+    if (!location) {
+      throw new Error(`${this.constructor.name} needs a path, e.g. --source ${this.constructor.prefix}:<path>`);
+    }
+
+    this.location = location;
+    this.statuses = statuses || ['publish'];
+    const unknown = this.statuses.filter(status => !POST_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown post status: ${unknown.join(', ')}. Available: ${POST_STATUSES.join(', ')}`);
+    }
+    this.type = TYPE_ALIASES[type] || type || 'post';
+    // Offline copies contain every status, so no authentication is needed
+    this.auth = null;
+    this.loading = null;
+  }
+
+  /**
+   * Human-readable description for logs and errors
+   */
+  get description() {
+    return this.location;
+  }
+
+  get includesUnpublished() {
+    return this.statuses.some(status => status !== 'publish');
+  }
+
+  /**
+   * Read every post from the source
+   * @returns {Promise<Array>} REST-shaped post objects
+   */
+  async readPosts() {
+    throw new Error(`${this.constructor.name}.readPosts() is not implemented`);
+  }
+
+  /**
+   * Posts of the selected type and statuses, read once and kept in memory
+   * @returns {Promise<Array>} REST-shaped post objects
+   */
+  async getPosts() {
+    if (!this.loading) {
+      this.loading = this.readPosts().then(posts => {
+        console.log(`[Source] Loaded ${posts.length} entries from ${this.description}`);
+        const types = [...new Set(posts.map(post => post.type))].filter(type => !INTERNAL_POST_TYPES.includes(type));
+        if (!types.includes(this.type)) {
+          throw new Error(`No '${this.type}' entries in ${this.description}. Available types: ${types.join(', ') || 'none'}`);
+        }
+        return posts.filter(post => post.type === this.type && this.statuses.includes(post.status));
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get a post by slug or ID
+   * @param {Object} identifier - Object with type ('slug' or 'id') and value
+   * @returns {Promise<Object>} Normalized post data, as from WordPressClient.getPost
+   */
+  async getPost(identifier) {
+    const posts = await this.getPosts();
+    let post;
+
+    if (identifier.type === 'slug') {
+      if (!identifier.value) {
+        throw new Error(`Cannot look up a ${this.type} by an empty slug; use its ID`);
+      }
+      post = posts.find(candidate => candidate.slug === identifier.value);
+    } else if (identifier.type === 'id') {
+      post = posts.find(candidate => String(candidate.id) === String(identifier.value));
+    } else {
+      throw new Error(`Invalid identifier type: ${identifier.type}`);
+    }
+
+    if (!post) {
+      throw new Error(`No ${this.type} found with ${identifier.type} '${identifier.value}' (status: ${this.statuses.join(', ')}) in ${this.description}`);
+    }
+    console.log(`[Source] Reading ${this.type} '${post.slug || post.id}' from ${this.description}`);
+    return normalizePostData(post);
+  }
+
+  /**
+   * List posts matching a set of filters; same filters as WordPressClient.listPosts
+   * @param {Object} filters - Query filters
+   * @returns {Promise<Array>} Summaries with id, slug, status and modified date, newest first
+   */
+  async listPosts(filters = {}) {
+    const posts = await this.getPosts();
+    const matchesAny = (ids, wanted) => !wanted?.length || (ids || []).some(id => wanted.includes(id));
+    const before = filters.modifiedBefore ? new Date(filters.modifiedBefore) : null;
+    const after = filters.modifiedAfter ? new Date(filters.modifiedAfter) : null;
+
+    return posts
+      .filter(post => matchesAny(post.categories, filters.categories))
+      .filter(post => matchesAny(post.tags, filters.tags))
+      .filter(post => !filters.author || post.author === filters.author)
+      .filter(post => !before || new Date(post.modified) < before)
+      .filter(post => !after || new Date(post.modified) > after)
+      .sort((a, b) => new Date(b.modified) - new Date(a.modified))
+      .map(post => ({ id: post.id, slug: post.slug, status: post.status, modified: post.modified }));
+  }
+
+  /**
+   * Resolve category or tag names/slugs to term IDs
+   * @param {string} taxonomy - 'categories' or 'tags'
+   * @param {Array<string>} names - Term names, slugs or numeric IDs
+   * @returns {Promise<Array<number>>} Term IDs
+   */
+  async resolveTermIds(taxonomy, names) {
+    const wantedTaxonomy = taxonomy === 'tags' ? 'post_tag' : 'category';
+    const posts = await this.getPosts();
+    const terms = posts
+      .flatMap(post => (post._embedded?.['wp:term'] || []).flat())
+      .filter(term => term?.taxonomy === wantedTaxonomy);
+
+    return names.map(name => {
+      if (/^\d+$/.test(name)) return parseInt(name);
+
+      const term = terms.find(candidate => candidate.slug === slugify(name)) ||
+        terms.find(candidate => decodeEntities(candidate.name).toLowerCase() === name.toLowerCase());
+      if (!term) {
+        throw new Error(`No ${taxonomy === 'tags' ? 'tag' : 'category'} found matching '${name}' in ${this.description}`);
+      }
+      return term.id;
+    });
+  }
+
+  /**
+   * Resolve an author slug, name or ID to a user ID
+   * @param {string} author - Author slug, name or numeric ID
+   * @returns {Promise<number>} User ID
+   */
+  async resolveAuthorId(author) {
+    if (/^\d+$/.test(author)) return parseInt(author);
+
+    const posts = await this.getPosts();
+    const match = posts
+      .map(post => post._embedded?.author?.[0])
+      .find(user => user && (user.slug === slugify(author) || user.name?.toLowerCase() === author.toLowerCase()));
+    if (!match) {
+      throw new Error(`No author found matching '${author}' in ${this.description}`);
+    }
+    return match.id;
+  }
+}
+
+export default OfflineSource;
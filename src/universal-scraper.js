@@ -1,9 +1,11 @@
-import axios from 'axios';
+import { createHttpClient } from './utils/http-client.js';
 import * as cheerio from 'cheerio';
+import { parseHtml } from './utils/html-parser.js';
 
 class UniversalScraper {
   constructor() {
-    this.client = axios.create({
+    this.client = createHttpClient({
+      name: 'Scraper',
       timeout: 30000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; SEO-Blog-Checker/1.0.0)'
@@ -20,19 +22,25 @@ class UniversalScraper {
     try {
       const response = await this.client.get(url);
       const $ = cheerio.load(response.data);
+      const content = this.extractContent($);
+      // Same parsing as WordPress post content, so both sources give the same fields
+      const parsed = parseHtml(content.rendered, { baseUrl: url });
       
       return {
         id: this.generateId(url),
         slug: this.extractSlugFromUrl(url),
         link: url,
         title: this.extractTitle($),
-        content: this.extractContent($),
+        content: { rendered: content.rendered, text: parsed.text },
         excerpt: this.extractExcerpt($),
         meta: this.extractMeta($),
         schema: this.extractSchema($),
-        headers: this.extractHeaders($),
-        images: this.extractImages($),
-        links: this.extractLinks($)
+        headers: parsed.headings,
+        images: parsed.images,
+        links: parsed.links,
+        lists: parsed.lists,
+        tables: parsed.tables,
+        embeds: parsed.embeds
       };
     } catch (error) {
       throw new Error(`Failed to scrape ${url}: ${error.message}`);
@@ -57,18 +65,12 @@ class UniversalScraper {
     for (const selector of contentSelectors) {
       const content = $(selector).first();
       if (content.length > 0) {
-        return {
-          rendered: content.html(),
-          text: content.text().trim()
-        };
+        return { rendered: content.html() };
       }
     }
     
     // Fallback to body content
-    return {
-      rendered: $('body').html(),
-      text: $('body').text().trim()
-    };
+    return { rendered: $('body').html() };
   }
 
   extractExcerpt($) {
@@ -126,6 +128,7 @@ class UniversalScraper {
       og_title: $('meta[property="og:title"]').attr('content') || '',
       og_description: $('meta[property="og:description"]').attr('content') || '',
       og_image: $('meta[property="og:image"]').attr('content') || '',
+      og_image_alt: $('meta[property="og:image:alt"]').attr('content') || '',
       og_type: $('meta[property="og:type"]').attr('content') || '',
       og_url: $('meta[property="og:url"]').attr('content') || '',
       og_site_name: $('meta[property="og:site_name"]').attr('content') || '',
@@ -304,41 +307,6 @@ class UniversalScraper {
     };
   }
 
-  extractHeaders($) {
-    const headers = [];
-    $('h1, h2, h3, h4, h5, h6').each((i, elem) => {
-      headers.push({
-        level: parseInt(elem.tagName.replace('h', '')),
-        text: $(elem).text().trim()
-      });
-    });
-    return headers;
-  }
-
-  extractImages($) {
-    const images = [];
-    $('img').each((i, elem) => {
-      const src = $(elem).attr('src');
-      const alt = $(elem).attr('alt') || '';
-      if (src) {
-        images.push({ src, alt });
-      }
-    });
-    return images;
-  }
-
-  extractLinks($) {
-    const links = [];
-    $('a[href]').each((i, elem) => {
-      const href = $(elem).attr('href');
-      const text = $(elem).text().trim();
-      if (href && text) {
-        links.push({ href, text });
-      }
-    });
-    return links;
-  }
-
   generateId(url) {
     return Buffer.from(url).toString('base64').substring(0, 10);
   }
@@ -0,0 +1,89 @@
+import { estimateTokens } from './helpers.js';
+
+/**
+ * Split plain-text post content into sections at its H2 headings. The
+ * headings come from extractedContent.headers and are located in the
+ * stripped content in document order; text before the first H2 becomes
+ * an "Introduction" section.
+ * @param {string} content - Plain-text content
+ * @param {Array} headers - Headings as { level, text }
+ * @returns {Array} Sections as { title, text, word_count }
+ */
+export function splitIntoSections(content, headers = []) {
+  if (!content) return [];
+
+  const boundaries = [];
+  let searchFrom = 0;
+  for (const header of headers) {
+    if (header.level !== 2 || !header.text) continue;
+
+    const title = header.text.replace(/\s+/g, ' ').trim();
+    const index = content.indexOf(title, searchFrom);
+    // Headings that can't be found (e.g. entity-encoded differently) are skipped
+    if (index === -1) continue;
+
+    boundaries.push({ title, index });
+    searchFrom = index + title.length;
+  }
+
+  const sections = [];
+  if (boundaries.length === 0 || boundaries[0].index > 0) {
+    const end = boundaries.length > 0 ? boundaries[0].index : content.length;
+    sections.push({ title: 'Introduction', text: content.substring(0, end).trim() });
+  }
+  boundaries.forEach((boundary, i) => {
+    const end = i + 1 < boundaries.length ? boundaries[i + 1].index : content.length;
+    sections.push({ title: boundary.title, text: content.substring(boundary.index, end).trim() });
+  });
+
+  return sections
+    .filter(section => section.text.length > 0)
+    .map(section => ({ ...section, word_count: countWords(section.text) }));
+}
+
+/**
+ * Group sections into chunks that each fit a token budget. Adjacent small
+ * sections are merged, and a section that is too long on its own is cut
+ * into word-bounded parts.
+ * @param {Array} sections - Sections from splitIntoSections()
+ * @param {number} maxTokens - Token budget for the content of one chunk
+ * @returns {Array} Chunks as { title, text, word_count }
+ */
+export function packSections(sections, maxTokens) {
+  const pieces = sections.flatMap(section => splitOversized(section, maxTokens));
+  const chunks = [];
+
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && estimateTokens(`${last.text}\n\n${piece.text}`) <= maxTokens) {
+      last.titles.push(piece.title);
+      last.text = `${last.text}\n\n${piece.text}`;
+      last.word_count += piece.word_count;
+    } else {
+      chunks.push({ titles: [piece.title], text: piece.text, word_count: piece.word_count });
+    }
+  }
+
+  return chunks.map(({ titles, ...chunk }) => ({ title: titles.join(' / '), ...chunk }));
+}
+
+function splitOversized(section, maxTokens) {
+  if (estimateTokens(section.text) <= maxTokens) return [section];
+
+  const words = section.text.split(/\s+/);
+  // Same four-characters-per-token rule as estimateTokens, with the average word plus a space
+  const averageLength = section.text.length / words.length;
+  const wordsPerPart = Math.max(1, Math.floor(maxTokens * 4 / averageLength));
+  const parts = [];
+
+  for (let start = 0; start < words.length; start += wordsPerPart) {
+    const text = words.slice(start, start + wordsPerPart).join(' ');
+    parts.push({ title: section.title, text, word_count: countWords(text) });
+  }
+
+  return parts.map((part, i) => ({ ...part, title: `${part.title} (part ${i + 1}/${parts.length})` }));
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
@@ -0,0 +1,134 @@
+const PER_MILLION = 1000000;
+
+/**
+ * Prices LLM token usage from the per-model table in config/runtime.yaml
+ * and keeps running totals for a run, including an optional budget.
+ */
+class CostTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.pricing] - USD per million tokens keyed by model, e.g. { 'gemini-2.5-flash': { input: 0.3, output: 2.5 } }
+   * @param {number} [options.maxCost] - Budget in USD (no limit if unset)
+   */
+  constructor({ pricing = {}, maxCost = null } = {}) {
+    this.pricing = pricing;
+    this.maxCost = maxCost;
+    this.totals = {
+      requests: 0,
+      cache_hits: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      cost: 0
+    };
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Find the price entry for a model. Providers often report a dated
+   * version (gpt-4o-mini-2024-07-18), so the longest matching prefix wins.
+   * @param {string} model - Model name
+   * @returns {Object|null} { input, output } in USD per million tokens
+   */
+  getPrice(model) {
+    if (!model) return null;
+    if (this.pricing[model]) return this.pricing[model];
+
+    const prefix = Object.keys(this.pricing)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Price a single usage record
+   * @param {string} model - Model that produced the response
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   * @returns {number|null} Cost in USD, or null if the model has no price
+   */
+  price(model, usage) {
+    const price = this.getPrice(model);
+    if (!price || !usage) return null;
+
+    const cost = (usage.prompt_tokens || 0) * (price.input || 0) / PER_MILLION +
+      (usage.completion_tokens || 0) * (price.output || 0) / PER_MILLION;
+    return Math.round(cost * PER_MILLION) / PER_MILLION;
+  }
+
+  /**
+   * Add token usage to the run totals
+   * @param {string} model - Model that produced the responses
+   * @param {Object} usage - { requests, prompt_tokens, completion_tokens, total_tokens } of one or more requests
+   * @param {Object} [options]
+   * @param {boolean} [options.cached] - Served from the response cache (costs nothing)
+   * @returns {number|null} Cost in USD, or null if the model has no price
+   */
+  record(model, usage, { cached = false } = {}) {
+    if (cached) {
+      this.totals.cache_hits++;
+      return 0;
+    }
+
+    this.totals.requests += usage?.requests || 0;
+    this.totals.prompt_tokens += usage?.prompt_tokens || 0;
+    this.totals.completion_tokens += usage?.completion_tokens || 0;
+    this.totals.total_tokens += usage?.total_tokens || 0;
+
+    const cost = this.price(model, usage);
+    if (cost === null) {
+      if (model && !this.unpricedModels.has(model)) {
+        console.warn(`[Cost] No pricing configured for model '${model}', counting its cost as 0`);
+      }
+      this.unpricedModels.add(model);
+      return null;
+    }
+
+    this.totals.cost += cost;
+    return cost;
+  }
+
+  /**
+   * Continue from the totals of an earlier session of the same run, so a
+   * resumed run's budget covers what was already spent
+   * @param {Object} summary - Result of getSummary() saved by the earlier session
+   */
+  restore(summary) {
+    for (const key of Object.keys(this.totals)) {
+      this.totals[key] += summary[key] || 0;
+    }
+    for (const model of summary.unpriced_models || []) {
+      this.unpricedModels.add(model);
+    }
+  }
+
+  /**
+   * Whether the budget set with maxCost has been used up
+   */
+  isOverBudget() {
+    return this.maxCost !== null && this.totals.cost >= this.maxCost;
+  }
+
+  /**
+   * Run totals for the end-of-run summary
+   * @returns {Object} Token counts, cost and unpriced models
+   */
+  getSummary() {
+    return {
+      ...this.totals,
+      cost: Math.round(this.totals.cost * PER_MILLION) / PER_MILLION,
+      unpriced_models: [...this.unpricedModels]
+    };
+  }
+}
+
+/**
+ * Format a USD amount for display, keeping precision for sub-cent costs
+ * @param {number|null} cost - Cost in USD
+ * @returns {string} Formatted cost
+ */
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'n/a';
+  return `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+export default CostTracker;
@@ -14,7 +14,16 @@ class CSVWriter {
       'Update Priority',
       'Last Updated',
       'Word Count',
-      'Processing Date'
+      'Processing Date',
+      // New columns go at the end, so rows in files written by older versions still
+      // line up and initialize() only has to widen their header
+      'Tokens',
+      'Cost (USD)',
+      'Samples',
+      'Low Confidence',
+      'Post Status',
+      'Post Type',
+      'Image Score'
     ];
   }
 
@@ -23,18 +32,45 @@ class CSVWriter {
       // Create directory if it doesn't exist
       await fs.mkdir(path.dirname(this.filepath), { recursive: true });
       
-      // Check if file exists
+      const header = this.headers.join(',');
+      let content = '';
       try {
-        await fs.access(this.filepath);
-      } catch {
-        // File doesn't exist, create with headers
-        await fs.writeFile(this.filepath, this.headers.join(',') + '\n');
+        content = await fs.readFile(this.filepath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      const newline = content.indexOf('\n');
+      const existingHeader = (newline === -1 ? content : content.substring(0, newline)).replace(/\r$/, '');
+
+      if (!existingHeader) {
+        await fs.writeFile(this.filepath, header + '\n');
+      } else if (header.startsWith(`${existingHeader},`)) {
+        // Written by an older version, before the last columns were added. Its
+        // rows still line up, so only the header is widened
+        const added = this.headers.slice(existingHeader.split(',').length);
+        await fs.writeFile(this.filepath, header + (newline === -1 ? '\n' : content.substring(newline)));
+        console.log(`[CSV] Added the ${added.join(', ')} columns to ${this.filepath}`);
+      } else if (existingHeader !== header) {
+        // Other columns or another order: appending would put values under the wrong columns
+        const rotatedPath = this.getRotatedPath();
+        await fs.rename(this.filepath, rotatedPath);
+        console.log(`[CSV] ${this.filepath} has different columns; moved it to ${rotatedPath}`);
+        await fs.writeFile(this.filepath, header + '\n');
       }
     } catch (error) {
       throw new Error(`Failed to initialize CSV file: ${error.message}`);
     }
   }
 
+  /**
+   * Path for an outdated summary, e.g. seo_analysis_summary.2025-01-31T10-00-00-000Z.csv
+   */
+  getRotatedPath() {
+    const { dir, name, ext } = path.parse(this.filepath);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(dir, `${name}.${timestamp}${ext}`);
+  }
+
   getStatusFromScore(score) {
     if (score >= 85) return 'Excellent';
     if (score >= 75) return 'Good';
@@ -78,7 +114,14 @@ class CSVWriter {
         updatePriority,
         result.last_updated || 'Unknown',
         result.word_count || 0,
-        new Date().toISOString()
+        new Date().toISOString(),
+        result.tokens || 0,
+        typeof result.cost === 'number' ? result.cost.toFixed(6) : '',
+        result.samples || 1,
+        this.formatArray(result.low_confidence),
+        result.post_status || '',
+        result.post_type || '',
+        result.image_score ?? ''
       ];
 
       await fs.appendFile(this.filepath, row.join(',') + '\n');
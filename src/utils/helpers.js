@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+/**
+ * Create a stable SHA-256 hash of a string or JSON-serialisable value
+ * @param {string|Object} value - Value to hash
+ * @returns {string} Hex digest
+ */
+export function hashContent(value) {
+  const input = typeof value === 'string' ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(input || '').digest('hex');
+}
+
+/**
+ * Roughly estimate how many tokens a text uses. English prose averages
+ * about four characters per token across the providers we support, which
+ * is close enough for budgeting without shipping a tokenizer.
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
@@ -0,0 +1,163 @@
+import * as cheerio from 'cheerio';
+
+// Elements that start a new paragraph in the plain text
+const BLOCK_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table',
+  'tr', 'ul'
+];
+
+// Elements whose content is never read as text
+const REMOVED_TAGS = 'script, style, noscript, template, svg, iframe, video, audio, embed, object, form, button';
+
+// Unprocessed shortcodes such as [caption id="..."] or [/gallery]
+const SHORTCODE_PATTERN = /\[\/?[a-z][\w-]*(?:\s[^\]]*)?\]/gi;
+
+// Blockquotes that the provider's script turns into an embed
+const EMBED_BLOCKQUOTES = {
+  'twitter-tweet': 'twitter',
+  'instagram-media': 'instagram',
+  'tiktok-embed': 'tiktok'
+};
+
+/**
+ * Parse article HTML into the fields both WordPress posts and scraped pages
+ * are evaluated on. Entities are decoded, scripts, styles and shortcodes are
+ * dropped, and paragraphs are separated by blank lines.
+ * @param {string} html - Article HTML (post content or the page's main element)
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - URL the HTML came from, used to make image and link URLs absolute
+ * @returns {Object} { text, headings, images, links, lists, tables, embeds }
+ */
+export function parseHtml(html, { baseUrl } = {}) {
+  if (!html) {
+    return { text: '', headings: [], images: [], links: [], lists: [], tables: [], embeds: [] };
+  }
+
+  const $ = cheerio.load(html, null, false);
+  const resolve = value => resolveUrl(value, baseUrl);
+
+  // Collected before REMOVED_TAGS are dropped
+  const embeds = extractEmbeds($, resolve);
+  $(REMOVED_TAGS).remove();
+
+  return {
+    text: extractText($),
+    headings: $('h1, h2, h3, h4, h5, h6').toArray().map(element => ({
+      level: parseInt(element.tagName.substring(1)),
+      text: cleanText($(element).text())
+    })).filter(heading => heading.text),
+    images: $('img').toArray().map(element => {
+      const image = $(element);
+      // Lazy-loading plugins keep the real URL in a data attribute
+      const lazySrc = image.attr('data-src') || image.attr('data-lazy-src');
+      return {
+        src: resolve(lazySrc || image.attr('src')),
+        alt: image.attr('alt') || '',
+        width: parseInt(image.attr('width')) || null,
+        height: parseInt(image.attr('height')) || null,
+        srcset: image.attr('srcset') || image.attr('data-srcset') || image.attr('data-lazy-srcset') || '',
+        loading: image.attr('loading') || (lazySrc ? 'lazy' : ''),
+        // Alternative formats offered through <picture><source type="image/webp">
+        source_types: image.parent('picture').children('source[type]').toArray().map(source => $(source).attr('type'))
+      };
+    }).filter(image => image.src),
+    links: $('a[href]').toArray().map(element => ({
+      href: resolve($(element).attr('href')),
+      text: cleanText($(element).text()),
+      rel: $(element).attr('rel') || ''
+    })),
+    lists: $('ul, ol').toArray()
+      .filter(element => $(element).parents('ul, ol').length === 0)
+      .map(element => ({
+        type: element.tagName === 'ol' ? 'ordered' : 'unordered',
+        items: $(element).children('li').toArray().map(item => cleanText($(item).text())).filter(Boolean)
+      })),
+    tables: $('table').toArray().map(element => {
+      const table = $(element);
+      const rows = table.find('tr').toArray();
+      const headerRow = table.find('thead tr').first().length > 0 ? table.find('thead tr').first() : $(rows[0]);
+      const hasHeaders = headerRow.children('th').length > 0;
+      return {
+        caption: cleanText(table.children('caption').text()),
+        headers: hasHeaders ? headerRow.children('th, td').toArray().map(cell => cleanText($(cell).text())) : [],
+        row_count: rows.length - (hasHeaders ? 1 : 0)
+      };
+    }),
+    embeds
+  };
+}
+
+/**
+ * Plain text of an HTML fragment on a single line, for short fields such as
+ * excerpts and author bios
+ * @param {string} html - HTML fragment
+ * @returns {string} Text
+ */
+export function htmlToText(html) {
+  return parseHtml(html).text.replace(/\s+/g, ' ');
+}
+
+function extractText($) {
+  $('br').replaceWith('\n');
+  $(BLOCK_TAGS.join(', ')).each((_, element) => {
+    $(element).before('\n').after('\n');
+  });
+  // Keep table cells on their row's line
+  $('td, th').after(' ');
+
+  return $.root().text()
+    .split('\n')
+    .map(cleanText)
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function extractEmbeds($, resolve) {
+  const embeds = [];
+
+  $('iframe, video, audio, embed, object').each((_, element) => {
+    const node = $(element);
+    const src = node.attr('src') || node.attr('data-src') || node.attr('data') || node.find('source[src]').first().attr('src');
+    if (!src) return;
+
+    const url = resolve(src);
+    const wrapper = node.closest('figure.wp-block-embed');
+    const provider = wrapper.attr('class')?.match(/is-provider-([\w-]+)/)?.[1] || hostProvider(url) || element.tagName;
+    embeds.push({ type: element.tagName, provider, src: url });
+  });
+
+  for (const [className, provider] of Object.entries(EMBED_BLOCKQUOTES)) {
+    $(`blockquote.${className}`).each((_, element) => {
+      const src = $(element).find('a[href]').last().attr('href') || $(element).attr('cite') || '';
+      embeds.push({ type: 'blockquote', provider, src: resolve(src) });
+    });
+  }
+
+  return embeds;
+}
+
+// "youtube" for https://www.youtube.com/embed/..., "google" for maps.google.com
+function hostProvider(url) {
+  try {
+    const parts = new URL(url).hostname.replace(/^www\./, '').split('.');
+    return parts.length > 1 ? parts[parts.length - 2] : parts[0];
+  } catch {
+    return '';
+  }
+}
+
+function resolveUrl(value, baseUrl) {
+  if (!value) return '';
+  if (!baseUrl) return value.trim();
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch {
+    return value.trim();
+  }
+}
+
+function cleanText(text) {
+  return text.replace(SHORTCODE_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+}
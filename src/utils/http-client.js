@@ -0,0 +1,212 @@
+import axios from 'axios';
+import http from 'http';
+import https from 'https';
+
+const DEFAULT_HTTP_CONFIG = {
+  // Retries after the first attempt, for network errors, 408, 429 and 5xx responses
+  retries: 3,
+  base_delay_ms: 1000,
+  max_delay_ms: 30000,
+  // Longest Retry-After we are willing to wait; longer waits fail the request instead
+  max_retry_after_ms: 120000,
+  circuit_breaker: {
+    failure_threshold: 5,
+    reset_timeout_ms: 60000
+  }
+};
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+// Shared by every client so connections to the same host are reused
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 16 });
+const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: 16 });
+
+let settings = DEFAULT_HTTP_CONFIG;
+const breakers = new Map();
+
+/**
+ * Apply the http section of config/runtime.yaml to every client
+ * @param {Object} [httpConfig] - Retry and circuit breaker settings
+ */
+export function configureHttp(httpConfig = {}) {
+  settings = {
+    ...DEFAULT_HTTP_CONFIG,
+    ...httpConfig,
+    circuit_breaker: { ...DEFAULT_HTTP_CONFIG.circuit_breaker, ...httpConfig.circuit_breaker }
+  };
+  breakers.clear();
+}
+
+/**
+ * Tracks consecutive failures for one host. After failure_threshold failures
+ * the circuit opens and requests fail immediately; once reset_timeout_ms has
+ * passed, a single trial request is let through to see if the host is back.
+ */
+export class CircuitBreaker {
+  constructor({ host, failureThreshold, resetTimeoutMs }) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Throw if the circuit is open, otherwise let the request through
+   * @returns {boolean} True if this request is the half-open trial
+   */
+  check() {
+    const state = this.state;
+    if (state === 'closed') return false;
+
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      console.log(`[HTTP] Circuit for ${this.host} is half-open, sending a trial request`);
+      return true;
+    }
+
+    const retryIn = Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+    const error = new Error(`${this.host} is unavailable after ${this.failures} consecutive failures; not retrying for ${retryIn}s`);
+    error.code = 'ECIRCUITOPEN';
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log(`[HTTP] Circuit for ${this.host} closed, host is responding again`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.trialInFlight || (this.openedAt === null && this.failures >= this.failureThreshold)) {
+      console.warn(`[HTTP] Circuit for ${this.host} opened after ${this.failures} consecutive failures`);
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * The trial request ended without showing whether the host is back (it was
+   * cancelled), so the next request becomes the trial instead
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+}
+
+function getBreaker(host) {
+  if (!breakers.has(host)) {
+    breakers.set(host, new CircuitBreaker({
+      host,
+      failureThreshold: settings.circuit_breaker.failure_threshold,
+      resetTimeoutMs: settings.circuit_breaker.reset_timeout_ms
+    }));
+  }
+  return breakers.get(host);
+}
+
+/**
+ * Parse a Retry-After header, which is either a number of seconds or an HTTP date
+ * @param {string} value - Header value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * base * 2^attempt, capped at maxDelayMs
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseDelayMs = settings.base_delay_ms, maxDelayMs = settings.max_delay_ms) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+// 4xx responses (other than 408/429) mean the host is up, so they don't trip the circuit
+function isHostFailure(error) {
+  if (error.response) return error.response.status >= 500 || error.response.status === 408;
+  return error.code !== 'ERR_CANCELED';
+}
+
+/**
+ * Create an axios instance with keep-alive connections, retries with
+ * backoff, Retry-After support and a per-host circuit breaker. Pass
+ * `retry: false` in a request's config to send it only once.
+ * @param {Object} [options] - axios.create() options (baseURL, timeout, headers, ...)
+ * @param {string} [options.name] - Client name for log messages, e.g. 'WordPress'
+ * @returns {Object} axios instance
+ */
+export function createHttpClient({ name = 'HTTP', ...axiosOptions } = {}) {
+  const client = axios.create({ httpAgent, httpsAgent, ...axiosOptions });
+
+  client.interceptors.request.use(config => {
+    config.breakerHost = config.breakerHost || new URL(client.getUri(config)).host;
+    config.breakerTrial = getBreaker(config.breakerHost).check();
+    return config;
+  });
+
+  client.interceptors.response.use(response => {
+    getBreaker(response.config.breakerHost).recordSuccess();
+    return response;
+  }, async error => {
+    const config = error.config;
+    // Errors thrown before the request was sent (including an open circuit) have nothing to retry
+    if (!config?.breakerHost || error.code === 'ECIRCUITOPEN') throw error;
+
+    const breaker = getBreaker(config.breakerHost);
+    if (isHostFailure(error)) {
+      breaker.recordFailure();
+    } else if (error.response) {
+      breaker.recordSuccess();
+    } else if (config.breakerTrial) {
+      breaker.releaseTrial();
+    }
+
+    const attempt = config.retryAttempt || 0;
+    if (config.retry === false || attempt >= settings.retries || !isRetryable(error)) throw error;
+
+    const status = error.response?.status;
+    let delay = getBackoffDelay(attempt);
+    if (status === 429 || status === 503) {
+      const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        if (retryAfter > settings.max_retry_after_ms) {
+          console.warn(`[${name}] ${config.breakerHost} asked to retry after ${Math.ceil(retryAfter / 1000)}s, longer than the ${settings.max_retry_after_ms / 1000}s limit`);
+          throw error;
+        }
+        delay = retryAfter;
+      }
+    }
+
+    console.log(`[${name}] ${config.method?.toUpperCase()} ${config.breakerHost} failed (${status || error.code}), retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1}/${settings.retries})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return client.request({ ...config, retryAttempt: attempt + 1 });
+  });
+
+  return client;
+}
@@ -0,0 +1,176 @@
+import path from 'path';
+
+// Weight of each check in the image score; together they add up to 100
+const CHECK_WEIGHTS = {
+  alt_missing: 25,
+  alt_duplicate: 10,
+  alt_filename: 10,
+  dimensions: 15,
+  srcset: 10,
+  format: 10,
+  lazy_loading: 10,
+  featured_image: 10
+};
+
+const CHECK_LABELS = {
+  alt_missing: 'Alt text present',
+  alt_duplicate: 'Alt text unique',
+  alt_filename: 'Alt text describes the image',
+  dimensions: 'Width and height set',
+  srcset: 'Responsive srcset',
+  format: 'Modern format (WebP/AVIF/SVG)',
+  lazy_loading: 'Lazy loading',
+  featured_image: 'Featured image'
+};
+
+const MODERN_FORMATS = ['webp', 'avif', 'svg'];
+const MODERN_TYPES = ['image/webp', 'image/avif', 'image/svg+xml'];
+
+/**
+ * Audit a post's images. Each finding names the image it is about, and the
+ * checks combine into a 0-100 score: every check loses its weight in
+ * proportion to the share of images that fail it. Posts without images in
+ * the content get no score.
+ * @param {Array} images - Images as { src, alt, width, height, srcset, loading, source_types } from parseHtml()
+ * @param {Object} [options]
+ * @param {Object|null} [options.featuredImage] - { url, alt, width, height }, or null when the post has none
+ * @returns {Object} { score (null without content images), image_count, featured_image, checks: { <check>: { label, failed, total } }, findings: [{ image, src, check, message }] }
+ */
+export function auditImages(images = [], { featuredImage = null } = {}) {
+  const findings = [];
+  const checks = Object.fromEntries(Object.keys(CHECK_WEIGHTS).map(check => [check, { label: CHECK_LABELS[check], failed: 0, total: 0 }]));
+  const record = (check, failed, finding) => {
+    checks[check].total++;
+    if (failed) {
+      checks[check].failed++;
+      findings.push({ check, ...finding });
+    }
+  };
+
+  const altCounts = new Map();
+  for (const image of images) {
+    const alt = normalizeAlt(image.alt);
+    if (alt) altCounts.set(alt, (altCounts.get(alt) || 0) + 1);
+  }
+
+  images.forEach((image, i) => {
+    const position = { image: i + 1, src: image.src };
+    const alt = normalizeAlt(image.alt);
+    const filename = getFilename(image.src);
+
+    record('alt_missing', !alt, { ...position, message: 'No alt text' });
+    if (alt) {
+      record('alt_duplicate', altCounts.get(alt) > 1, { ...position, message: `Alt text "${image.alt}" is used on ${altCounts.get(alt)} images` });
+      record('alt_filename', isFilenameAlt(alt, filename), { ...position, message: `Alt text "${image.alt}" repeats the file name` });
+    }
+    record('dimensions', !image.width || !image.height, { ...position, message: 'No width/height attributes, so the layout shifts while it loads' });
+    // SVGs scale without a srcset
+    if (getExtension(filename) !== 'svg') {
+      record('srcset', !image.srcset, { ...position, message: 'No srcset, so small screens download the full-size file' });
+    }
+    record('format', !isModernFormat(image, filename), { ...position, message: `Served as ${getExtension(filename).toUpperCase() || 'an unknown format'} with no WebP/AVIF alternative` });
+
+    // The first image is usually above the fold: lazy-loading it delays the largest paint
+    const lazy = image.loading === 'lazy';
+    if (i === 0) {
+      record('lazy_loading', lazy, { ...position, message: 'First image is lazy-loaded, which delays the largest contentful paint' });
+    } else {
+      record('lazy_loading', !lazy, { ...position, message: 'Not lazy-loaded (add loading="lazy")' });
+    }
+  });
+
+  record('featured_image', !featuredImage?.url, { image: null, src: '', message: 'No featured image, so shares and search results have no thumbnail' });
+  if (featuredImage?.url && !normalizeAlt(featuredImage.alt)) {
+    findings.push({ check: 'alt_missing', image: null, src: featuredImage.url, message: 'Featured image has no alt text' });
+  }
+
+  return {
+    score: images.length > 0 ? computeScore(checks) : null,
+    image_count: images.length,
+    featured_image: Boolean(featuredImage?.url),
+    checks,
+    findings
+  };
+}
+
+/**
+ * Image audit as text for the prompt
+ * @param {Object} audit - Result of auditImages()
+ * @param {number} [limit] - Number of findings to list
+ * @returns {string} Summary, or '' without an audit
+ */
+export function summarizeImageAudit(audit, limit = 10) {
+  if (!audit) return '';
+
+  const featured = audit.featured_image ? 'featured image set' : 'no featured image';
+  const lines = [
+    audit.score === null
+      ? `No images in the content (${featured})`
+      : `Image score: ${audit.score}/100 (${audit.image_count} images in the content, ${featured})`
+  ];
+  for (const check of Object.values(audit.checks)) {
+    if (check.total > 0) lines.push(`${check.label}: ${check.total - check.failed}/${check.total} pass`);
+  }
+  for (const finding of audit.findings.slice(0, limit)) {
+    lines.push(`- ${describeImage(finding)}: ${finding.message}`);
+  }
+  if (audit.findings.length > limit) {
+    lines.push(`- ...and ${audit.findings.length - limit} more findings`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Short reference to the image a finding is about, e.g. "Image 3 (tram-28.jpg)"
+ * @param {Object} finding - Finding from auditImages()
+ * @returns {string} Description
+ */
+export function describeImage(finding) {
+  if (finding.image === null) return 'Featured image';
+  return `Image ${finding.image} (${getFilename(finding.src) || finding.src})`;
+}
+
+function computeScore(checks) {
+  let score = 100;
+  for (const [check, weight] of Object.entries(CHECK_WEIGHTS)) {
+    const { failed, total } = checks[check];
+    if (total > 0) score -= weight * (failed / total);
+  }
+  return Math.round(Math.max(0, score));
+}
+
+function normalizeAlt(alt) {
+  return (alt || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function getFilename(src) {
+  try {
+    return decodeURIComponent(path.posix.basename(new URL(src, 'http://localhost').pathname));
+  } catch {
+    return '';
+  }
+}
+
+function getExtension(filename) {
+  return path.posix.extname(filename).substring(1).toLowerCase();
+}
+
+// "IMG_2034", "lisbon-tram-1024x683.jpg" or "Lisbon tram" for lisbon-tram-scaled.jpg
+function isFilenameAlt(alt, filename) {
+  if (/\.(jpe?g|png|gif|webp|avif|svg)$/.test(alt)) return true;
+  if (/^(img|image|dsc|dscn|photo|pic|screenshot)[\s_-]*\d+/.test(alt)) return true;
+
+  const base = filename
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/-(\d+x\d+|scaled|e\d{10,})$/i, '')
+    .replace(/[-_]+/g, ' ')
+    .toLowerCase()
+    .trim();
+  return base !== '' && alt.replace(/[^\p{L}\p{N} ]/gu, '') === base;
+}
+
+function isModernFormat(image, filename) {
+  if (MODERN_FORMATS.includes(getExtension(filename))) return true;
+  if ((image.source_types || []).some(type => MODERN_TYPES.includes(type))) return true;
+  return /\.(webp|avif)(\s|$|\?)/i.test(image.srcset || '');
+}
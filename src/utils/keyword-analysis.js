@@ -0,0 +1,288 @@
+// Density targets (percent) used when the evaluation config has no keyword_density criterion
+const DEFAULT_DENSITY = { target: 1.5, min: 0.5, max: 3.0 };
+
+// Points for each place the keyphrase should appear; density is worth the remaining 40
+const PLACEMENT_WEIGHTS = {
+  title: 10,
+  seo_title: 10,
+  h1: 5,
+  first_100_words: 10,
+  subheadings: 10,
+  slug: 5,
+  meta_description: 5,
+  image_alt: 5
+};
+const DENSITY_POINTS = 40;
+
+export const PLACEMENT_LABELS = {
+  title: 'Title',
+  seo_title: 'SEO title',
+  h1: 'H1',
+  first_100_words: 'First 100 words',
+  subheadings: 'Subheadings (H2/H3)',
+  slug: 'Slug',
+  meta_description: 'Meta description',
+  image_alt: 'Image alt text'
+};
+
+// Keyphrases in more than this share of subheadings or image alts read as stuffed
+const MAX_PLACEMENT_SHARE = 0.75;
+
+// Suffixes stripped to match plural and inflected forms, longest first per language.
+// A light stemmer: it only has to map a keyphrase and its variants to the same stem
+const SUFFIXES = {
+  en: ['ing', 'ed', 's'],
+  de: ['en', 'er', 'e', 'n', 's'],
+  fr: ['es', 's', 'x'],
+  es: ['es', 's'],
+  pt: ['es', 's'],
+  it: ['i', 'e', 'o', 'a'],
+  nl: ['en', 's']
+};
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Measure how a post uses its focus keyphrase: density in the content,
+ * placement in the title, headings, intro, slug, meta description and image
+ * alts, and signs of over-optimisation. Plural and inflected forms
+ * ("hostels", "booking") count as the keyphrase. The result is scored
+ * against the density targets from the evaluation config.
+ * @param {Object} content - Extracted content: { content, title, seo_title, slug, meta_description, headers, images }
+ * @param {Object} options
+ * @param {string} options.keyphrase - Focus keyphrase, e.g. Yoast's focus keyword
+ * @param {string} [options.language] - Language or locale code (default: en)
+ * @param {Object} [options.density] - { target, min, max } in percent (default: 1.5, 0.5, 3.0)
+ * @returns {Object|null} { keyphrase, language, words, occurrences, exact_occurrences, variants, density, density_target, density_status, placements, warnings, over_optimized, score }, or null without a keyphrase or content
+ */
+export function analyzeKeywords(content, { keyphrase, language = 'en', density = {} } = {}) {
+  const code = (language || 'en').toLowerCase().split(/[-_]/)[0];
+  const phrase = tokenize(keyphrase);
+  const textTokens = tokenize(content.content);
+  if (phrase.length === 0 || textTokens.length === 0) return null;
+
+  const stem = word => stemWord(word, code);
+  const phraseStems = phrase.map(stem);
+  const find = tokens => findPhrase(tokens.map(stem), phraseStems);
+  const contains = text => find(tokenize(text)).length > 0;
+
+  const matches = find(textTokens);
+  const exactOccurrences = findPhrase(textTokens, phrase).length;
+  const variants = [...new Set(matches.map(index => textTokens.slice(index, index + phrase.length).join(' ')))];
+
+  const targets = {
+    target: Number(density.target ?? DEFAULT_DENSITY.target),
+    min: Number(density.min ?? DEFAULT_DENSITY.min),
+    max: Number(density.max ?? DEFAULT_DENSITY.max)
+  };
+  const densityPercent = round(matches.length / textTokens.length * 100, 2);
+  const densityStatus = densityPercent < targets.min ? 'low' : densityPercent > targets.max ? 'high' : 'ok';
+
+  const headings = content.headers || [];
+  const h1s = headings.filter(heading => heading.level === 1).map(heading => heading.text);
+  const subheadings = headings.filter(heading => heading.level === 2 || heading.level === 3);
+  const alts = (content.images || []).map(image => image.alt).filter(alt => alt && alt.trim());
+
+  // Placements that can't be checked (no SEO title, no images...) are null and left out of the score
+  const placements = {
+    title: contains(content.title),
+    seo_title: content.seo_title ? contains(content.seo_title) : null,
+    // Themes render the post title as the H1 when the content has none
+    h1: contains(h1s.length > 0 ? h1s.join(' ') : content.title),
+    first_100_words: find(textTokens.slice(0, 100)).length > 0,
+    subheadings: subheadings.length > 0 ? countMatches(subheadings.map(heading => heading.text), contains) : null,
+    slug: content.slug ? containsWords(tokenize(content.slug).map(stem), phraseStems) : null,
+    meta_description: content.meta_description ? contains(content.meta_description) : null,
+    image_alt: alts.length > 0 ? countMatches(alts, contains) : null
+  };
+
+  const warnings = findWarnings({ content, phrase, find, densityPercent, densityStatus, targets, placements, matches, exactOccurrences });
+
+  return {
+    keyphrase: phrase.join(' '),
+    language: SUFFIXES[code] ? code : 'en',
+    words: textTokens.length,
+    occurrences: matches.length,
+    exact_occurrences: exactOccurrences,
+    variants,
+    density: densityPercent,
+    density_target: targets,
+    density_status: densityStatus,
+    placements,
+    warnings: warnings.map(warning => warning.message),
+    over_optimized: warnings.some(warning => warning.over_optimization),
+    score: computeScore(densityPercent, targets, placements)
+  };
+}
+
+/**
+ * Keyword analysis as text for the prompt
+ * @param {Object} analysis - Result of analyzeKeywords()
+ * @returns {string} Summary, or '' without an analysis
+ */
+export function summarizeKeywordAnalysis(analysis) {
+  if (!analysis) return '';
+
+  const { target, min, max } = analysis.density_target;
+  const lines = [
+    `Focus keyphrase: "${analysis.keyphrase}" (keyword score: ${analysis.score}/100)`,
+    `Density: ${analysis.density}% (${analysis.occurrences} occurrences in ${analysis.words} words, ${analysis.exact_occurrences} exact; target ${target}%, range ${min}-${max}%: ${analysis.density_status})`
+  ];
+  if (analysis.variants.length > 1) {
+    lines.push(`Forms used: ${analysis.variants.join(', ')}`);
+  }
+  lines.push(`Placement: ${describePlacements(analysis.placements)}`);
+  for (const warning of analysis.warnings) {
+    lines.push(`- ${warning}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Placement results as text, e.g. "Title ✓, Slug ✗, Subheadings (H2/H3) 2/5"
+ * @param {Object} placements - placements from analyzeKeywords()
+ * @returns {string} Description
+ */
+export function describePlacements(placements) {
+  return Object.entries(placements)
+    .filter(([, result]) => result !== null)
+    .map(([placement, result]) => `${PLACEMENT_LABELS[placement]} ${formatPlacement(result)}`)
+    .join(', ');
+}
+
+/**
+ * One placement result as text: ✓/✗, or "matched/total" for subheadings and image alts
+ * @param {boolean|Object|null} result - A value from placements
+ * @returns {string} Result
+ */
+export function formatPlacement(result) {
+  if (result === null) return 'n/a';
+  if (typeof result === 'boolean') return result ? '✓' : '✗';
+  return `${result.matched}/${result.total}`;
+}
+
+function findWarnings({ content, phrase, find, densityPercent, densityStatus, targets, placements, matches, exactOccurrences }) {
+  const warnings = [];
+  const add = (message, overOptimization = false) => warnings.push({ message, over_optimization: overOptimization });
+
+  if (densityStatus === 'high') {
+    add(`Keyword density ${densityPercent}% is above the ${targets.max}% maximum; the keyphrase reads as stuffed`, true);
+  } else if (densityStatus === 'low') {
+    add(`Keyword density ${densityPercent}% is below the ${targets.min}% minimum`);
+  }
+
+  for (const placement of ['subheadings', 'image_alt']) {
+    const result = placements[placement];
+    if (result && result.total >= 3 && result.matched / result.total > MAX_PLACEMENT_SHARE) {
+      add(`Keyphrase in ${result.matched} of ${result.total} ${placement === 'subheadings' ? 'subheadings' : 'image alt texts'}; vary the wording`, true);
+    }
+  }
+
+  const titleRepeats = find(tokenize(content.title)).length;
+  if (titleRepeats > 1) {
+    add(`Keyphrase repeated ${titleRepeats} times in the title`, true);
+  }
+  const descriptionRepeats = find(tokenize(content.meta_description)).length;
+  if (descriptionRepeats > 2) {
+    add(`Keyphrase repeated ${descriptionRepeats} times in the meta description`, true);
+  }
+
+  // Natural writing mixes in plurals and other forms
+  if (matches.length >= 5 && exactOccurrences === matches.length) {
+    add(`All ${matches.length} occurrences are the exact keyphrase; no plural or other forms are used`, true);
+  }
+
+  if (phrase.length > 4) {
+    add(`The keyphrase has ${phrase.length} words; long keyphrases rarely appear verbatim in natural text`);
+  }
+
+  for (const placement of ['title', 'first_100_words']) {
+    if (placements[placement] === false) {
+      add(`Keyphrase missing from the ${PLACEMENT_LABELS[placement].toLowerCase()}`);
+    }
+  }
+
+  return warnings;
+}
+
+function computeScore(densityPercent, { target, min, max }, placements) {
+  let densityScore;
+  if (densityPercent < min) {
+    densityScore = DENSITY_POINTS * 0.75 * (densityPercent / min);
+  } else if (densityPercent > max) {
+    // Falls to 0 at twice the maximum
+    densityScore = Math.max(0, DENSITY_POINTS * 0.75 * (1 - (densityPercent - max) / max));
+  } else {
+    // 40 at the target, 30 at either end of the range
+    const spread = Math.max(target - min, max - target) || 1;
+    densityScore = DENSITY_POINTS - (DENSITY_POINTS / 4) * Math.min(1, Math.abs(densityPercent - target) / spread);
+  }
+
+  let earned = 0;
+  let available = 0;
+  for (const [placement, weight] of Object.entries(PLACEMENT_WEIGHTS)) {
+    const result = placements[placement];
+    if (result === null) continue;
+    available += weight;
+    if (typeof result === 'boolean') {
+      earned += result ? weight : 0;
+    } else if (result.matched > 0) {
+      // At least one match earns the points; using it everywhere earns half
+      earned += result.matched / result.total > MAX_PLACEMENT_SHARE && result.total >= 3 ? weight / 2 : weight;
+    }
+  }
+  const placementPoints = 100 - DENSITY_POINTS;
+  const placementScore = available > 0 ? placementPoints * (earned / available) : placementPoints;
+
+  return Math.round(densityScore + placementScore);
+}
+
+// Slugs usually drop short words ("best-hostels-lisbon"), so only the longer words have to be there, in any order
+function containsWords(tokens, phrase) {
+  const words = phrase.filter(word => word.length > 2);
+  return (words.length > 0 ? words : phrase).every(word => tokens.includes(word));
+}
+
+function countMatches(texts, contains) {
+  return { matched: texts.filter(contains).length, total: texts.length };
+}
+
+// Lowercase words without accents or punctuation, so "Café" matches "cafe"
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function findPhrase(tokens, phrase) {
+  const positions = [];
+  for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    if (phrase.every((word, j) => tokens[i + j] === word)) {
+      positions.push(i);
+      i += phrase.length - 1;
+    }
+  }
+  return positions;
+}
+
+function stemWord(word, code) {
+  if (code === 'en') {
+    // cities -> city, boxes -> box, but not "bus" or "class"
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+    if (/(ss|us|is)$/.test(word)) return word;
+  }
+  for (const suffix of SUFFIXES[code] || SUFFIXES.en) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM_LENGTH + (suffix.length > 1 ? 1 : 0)) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
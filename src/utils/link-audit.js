@@ -0,0 +1,168 @@
+// Anchor texts that say nothing about the target page
+const GENERIC_ANCHORS = [
+  'click here', 'here', 'this', 'link', 'this link', 'more', 'read more', 'learn more',
+  'find out more', 'see more', 'more info', 'more information', 'this article', 'this post',
+  'this page', 'website', 'this website', 'check it out', 'go', 'view', 'details'
+];
+
+// Restricted or rate-limited responses: the link may work for readers, so it isn't reported as broken
+const UNVERIFIED_STATUSES = [401, 403, 429, 999];
+
+export const LINK_CATEGORIES = ['internal', 'property', 'external', 'affiliate', 'other'];
+
+/**
+ * Classify a post's links and, when a checker is given, check their status.
+ * The result is deterministic for the same links and statuses, so it can be
+ * hashed with the rest of the extracted content.
+ * @param {Array} links - Links as { href, text, rel } from parseHtml()
+ * @param {Object} options
+ * @param {string} [options.pageUrl] - URL of the post; its host counts as internal
+ * @param {Object} [options.rules] - links section of the evaluation config:
+ *   { internal_hosts, property_patterns, affiliate_patterns }
+ * @param {LinkChecker} [options.checker] - Checks http(s) links when given
+ * @returns {Promise<Object>} { links, counts, checked, broken, redirected, unverified, issues }
+ */
+export async function auditLinks(links = [], { pageUrl, rules = {}, checker } = {}) {
+  const classified = links.map(link => classifyLink(link, pageUrl, rules));
+
+  const checked = Boolean(checker);
+  if (checker) {
+    const urls = [...new Set(classified.filter(link => link.checkable).map(link => link.url))];
+    const results = await checker.checkAll(urls);
+    for (const link of classified) {
+      const result = link.checkable ? results.get(link.url) : null;
+      if (result) {
+        link.status = result.status;
+        link.final_url = result.final_url;
+        link.redirects = result.redirects;
+        link.error = result.error;
+        link.outcome = getOutcome(result);
+      }
+    }
+  }
+
+  const counts = Object.fromEntries(LINK_CATEGORIES.map(category => [category, 0]));
+  for (const link of classified) counts[link.category]++;
+
+  const withOutcome = outcome => classified.filter(link => link.outcome === outcome);
+
+  return {
+    links: classified.map(({ checkable, ...link }) => link),
+    counts,
+    nofollow: classified.filter(link => link.nofollow).length,
+    sponsored: classified.filter(link => link.sponsored).length,
+    generic_anchors: classified.filter(link => link.anchor_quality === 'generic').length,
+    checked,
+    broken: withOutcome('broken'),
+    redirected: withOutcome('redirected'),
+    unverified: withOutcome('unverified'),
+    issues: findIssues(classified)
+  };
+}
+
+/**
+ * Link audit as text for the prompt's technical section
+ * @param {Object} audit - Result of auditLinks()
+ * @returns {string} Summary, or '' without an audit
+ */
+export function summarizeLinkAudit(audit) {
+  if (!audit) return '';
+
+  const total = audit.links.length;
+  const lines = [
+    `${total} links: ${LINK_CATEGORIES.map(category => `${audit.counts[category]} ${category}`).join(', ')}`,
+    `Attributes: ${audit.nofollow} nofollow, ${audit.sponsored} sponsored`,
+    `Generic anchor text: ${audit.generic_anchors}`
+  ];
+
+  if (audit.checked) {
+    lines.push(`Status check: ${audit.broken.length} broken, ${audit.redirected.length} redirected, ${audit.unverified.length} could not be verified`);
+    for (const link of audit.broken.slice(0, 10)) {
+      lines.push(`- Broken (${link.status || link.error}): ${link.url} ("${link.text}")`);
+    }
+  } else {
+    lines.push('Status check: not run; do not assume links are broken or working');
+  }
+
+  for (const issue of audit.issues.slice(0, 10)) {
+    lines.push(`- ${issue}`);
+  }
+
+  return lines.join('\n');
+}
+
+function classifyLink(link, pageUrl, rules) {
+  const rel = (link.rel || '').toLowerCase().split(/\s+/);
+  const text = link.text || '';
+  const classified = {
+    url: link.href,
+    text,
+    category: getCategory(link.href, pageUrl, rules),
+    nofollow: rel.includes('nofollow'),
+    sponsored: rel.includes('sponsored'),
+    ugc: rel.includes('ugc'),
+    anchor_quality: getAnchorQuality(text)
+  };
+  classified.checkable = classified.category !== 'other';
+  return classified;
+}
+
+function getCategory(href, pageUrl, rules) {
+  let url;
+  try {
+    url = new URL(href, pageUrl);
+  } catch {
+    return 'other';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'other';
+
+  // Jump links within the post itself
+  if (pageUrl && url.hash && stripHash(url.href) === stripHash(new URL(pageUrl).href)) return 'other';
+
+  const matches = patterns => (patterns || []).some(pattern => new RegExp(pattern, 'i').test(url.href));
+  if (matches(rules.affiliate_patterns)) return 'affiliate';
+  if (matches(rules.property_patterns)) return 'property';
+
+  const internalHosts = [...(rules.internal_hosts || [])];
+  if (pageUrl) internalHosts.push(new URL(pageUrl).hostname);
+  const host = url.hostname.replace(/^www\./, '');
+  return internalHosts.some(internal => internal.replace(/^www\./, '') === host) ? 'internal' : 'external';
+}
+
+function getAnchorQuality(text) {
+  const normalized = text.toLowerCase().replace(/[.!:»›→>]+$/g, '').trim();
+  if (!normalized) return 'empty';
+  if (GENERIC_ANCHORS.includes(normalized)) return 'generic';
+  if (/^(https?:\/\/|www\.)\S+$/.test(normalized)) return 'url';
+  return 'descriptive';
+}
+
+function getOutcome(result) {
+  if (result.error && !result.status) return result.timed_out ? 'unverified' : 'broken';
+  if (UNVERIFIED_STATUSES.includes(result.status)) return 'unverified';
+  if (result.status >= 400) return 'broken';
+  return result.redirects.length > 0 ? 'redirected' : 'ok';
+}
+
+function findIssues(links) {
+  const issues = [];
+  for (const link of links) {
+    if (link.category === 'affiliate' && !link.sponsored && !link.nofollow) {
+      issues.push(`Affiliate link without rel="sponsored": ${link.url}`);
+    }
+    if ((link.category === 'internal' || link.category === 'property') && link.nofollow) {
+      issues.push(`Internal link marked nofollow: ${link.url}`);
+    }
+    if (link.category !== 'other' && link.anchor_quality === 'generic') {
+      issues.push(`Generic anchor text "${link.text}": ${link.url}`);
+    }
+    if (link.category !== 'other' && link.anchor_quality === 'url') {
+      issues.push(`Bare URL as anchor text: ${link.url}`);
+    }
+  }
+  return issues;
+}
+
+function stripHash(href) {
+  return href.split('#')[0].replace(/\/$/, '');
+}
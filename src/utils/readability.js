@@ -0,0 +1,179 @@
+// Sentences longer than this many words are listed as long
+const LONG_SENTENCE_WORDS = 25;
+
+// Vowels used to count syllables, and each language's adaptation of the
+// Flesch Reading Ease formula (asl: words per sentence, asw: syllables per word)
+const LANGUAGES = {
+  en: { name: 'English', vowels: 'aeiouy', ease: (asl, asw) => 206.835 - 1.015 * asl - 84.6 * asw },
+  // Amstad
+  de: { name: 'German', vowels: 'aeiouyäöü', ease: (asl, asw) => 180 - asl - 58.5 * asw },
+  // Kandel and Moles
+  fr: { name: 'French', vowels: 'aeiouyàâäéèêëîïôöûùü', ease: (asl, asw) => 207 - 1.015 * asl - 73.6 * asw },
+  // Fernández Huerta
+  es: { name: 'Spanish', vowels: 'aeiouáéíóúü', ease: (asl, asw) => 206.84 - 1.02 * asl - 60 * asw },
+  // Flesch-Vacca
+  it: { name: 'Italian', vowels: 'aeiouàèéìíîòóùú', ease: (asl, asw) => 217 - 1.3 * asl - 60 * asw },
+  // Martins et al.
+  pt: { name: 'Portuguese', vowels: 'aeiouáâãàéêíóôõú', ease: (asl, asw) => 248.835 - 1.015 * asl - 84.6 * asw },
+  // Douma
+  nl: { name: 'Dutch', vowels: 'aeiouyäëïöü', ease: (asl, asw) => 206.835 - 0.93 * asl - 77 * asw }
+};
+
+// Abbreviations whose full stop doesn't end a sentence
+const ABBREVIATIONS = ['e.g', 'i.e', 'etc', 'vs', 'approx', 'mr', 'mrs', 'ms', 'dr', 'st', 'no', 'ca', 'z.b', 'bzw', 'usw', 'p.ex', 'ex'];
+
+// A form of "to be"/"to get", an optional adverb, then a past participle
+const PASSIVE_PATTERN = new RegExp(
+  '\\b(am|is|are|was|were|be|been|being|get|gets|got|gotten|getting)\\s+(\\w+ly\\s+)?' +
+  '(\\w+ed|born|bought|brought|built|caught|chosen|done|driven|drawn|eaten|fallen|felt|found|forgotten|frozen|given|' +
+  'grown|held|hidden|kept|known|laid|led|left|lost|made|meant|met|paid|put|read|run|said|seen|sent|set|shown|shut|' +
+  'sold|spent|spoken|stolen|taken|taught|thought|told|understood|won|worn|written)\\b',
+  'i'
+);
+
+/**
+ * Readability metrics for plain-text content, computed locally so the same
+ * text always gets the same numbers
+ * @param {string} text - Content with paragraphs separated by blank lines (see parseHtml)
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language or locale code, e.g. "en-GB" or "de_DE" (default: en)
+ * @param {Array} [options.headings] - Headings as { text }; paragraphs that are headings are left out
+ * @returns {Object|null} Metrics, or null for empty content. Flesch-Kincaid grade and passive voice are English-only (null otherwise)
+ */
+export function analyzeReadability(text, { language = 'en', headings = [] } = {}) {
+  const code = (language || 'en').toLowerCase().split(/[-_]/)[0];
+  const supported = Boolean(LANGUAGES[code]);
+  const rules = LANGUAGES[code] || LANGUAGES.en;
+
+  const headingTexts = new Set(headings.map(heading => heading.text));
+  const paragraphs = (text || '').split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(paragraph => paragraph && !headingTexts.has(paragraph));
+  if (paragraphs.length === 0) return null;
+
+  const sentences = paragraphs.flatMap(splitSentences);
+  const sentenceWords = sentences.map(getWords);
+  const words = sentenceWords.flat();
+  if (words.length === 0) return null;
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word, code, rules.vowels), 0);
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = syllables / words.length;
+  const isEnglish = code === 'en';
+
+  const longSentences = sentences
+    .map((sentence, i) => ({ index: i + 1, words: sentenceWords[i].length, text: sentence }))
+    .filter(sentence => sentence.words > LONG_SENTENCE_WORDS);
+
+  return {
+    language: supported ? code : 'en',
+    // Other languages are measured with the English rules
+    language_supported: supported,
+    words: words.length,
+    sentences: sentences.length,
+    paragraphs: paragraphs.length,
+    syllables,
+    flesch_reading_ease: round(clamp(rules.ease(wordsPerSentence, syllablesPerWord), 0, 100)),
+    flesch_kincaid_grade: isEnglish ? round(Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)) : null,
+    avg_sentence_length: round(wordsPerSentence),
+    avg_paragraph_length: round(words.length / paragraphs.length),
+    passive_voice_ratio: isEnglish ? round(sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)).length / sentences.length, 2) : null,
+    long_sentence_threshold: LONG_SENTENCE_WORDS,
+    long_sentences: longSentences
+  };
+}
+
+/**
+ * Plain-language band for a Flesch Reading Ease score
+ * @param {number} score - Reading ease, 0-100
+ * @returns {string} Band, e.g. "Fairly easy"
+ */
+export function describeReadingEase(score) {
+  if (score >= 90) return 'Very easy';
+  if (score >= 80) return 'Easy';
+  if (score >= 70) return 'Fairly easy';
+  if (score >= 60) return 'Standard';
+  if (score >= 50) return 'Fairly difficult';
+  if (score >= 30) return 'Difficult';
+  return 'Very difficult';
+}
+
+/**
+ * Readability metrics as text for the prompt
+ * @param {Object} metrics - Result of analyzeReadability()
+ * @returns {string} Summary, or '' without metrics
+ */
+export function summarizeReadability(metrics) {
+  if (!metrics) return '';
+
+  const lines = [
+    `Flesch Reading Ease: ${metrics.flesch_reading_ease} (${describeReadingEase(metrics.flesch_reading_ease)}; ${LANGUAGES[metrics.language].name} formula${metrics.language_supported ? '' : ', language not supported'})`
+  ];
+  if (metrics.flesch_kincaid_grade !== null) {
+    lines.push(`Flesch-Kincaid Grade: ${metrics.flesch_kincaid_grade}`);
+  }
+  lines.push(`Average sentence length: ${metrics.avg_sentence_length} words (${metrics.sentences} sentences)`);
+  lines.push(`Average paragraph length: ${metrics.avg_paragraph_length} words (${metrics.paragraphs} paragraphs)`);
+  if (metrics.passive_voice_ratio !== null) {
+    lines.push(`Passive voice: ${Math.round(metrics.passive_voice_ratio * 100)}% of sentences`);
+  }
+  lines.push(`Sentences over ${metrics.long_sentence_threshold} words: ${metrics.long_sentences.length}`);
+  for (const sentence of metrics.long_sentences.slice(0, 5)) {
+    lines.push(`- (${sentence.words} words) "${truncate(sentence.text, 120)}"`);
+  }
+  return lines.join('\n');
+}
+
+function splitSentences(paragraph) {
+  const sentences = [];
+  let start = 0;
+  const boundary = /[.!?…]+["'”’)]*(\s+|$)/g;
+  let match;
+  while ((match = boundary.exec(paragraph)) !== null) {
+    const end = match.index + match[0].length;
+    const before = paragraph.substring(start, match.index).toLowerCase();
+    const lastWord = before.split(/\s+/).pop();
+    // "e.g. Lisbon" or "St. George" don't end the sentence
+    if (match[0].startsWith('.') && ABBREVIATIONS.includes(lastWord)) continue;
+    sentences.push(paragraph.substring(start, end).trim());
+    start = end;
+  }
+  if (start < paragraph.length) sentences.push(paragraph.substring(start).trim());
+  return sentences.filter(sentence => getWords(sentence).length > 0);
+}
+
+function getWords(sentence) {
+  return sentence.split(/\s+/)
+    .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(word => /\p{L}/u.test(word));
+}
+
+function countSyllables(word, code, vowels) {
+  let normalized = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+  if (!normalized) return 0;
+
+  if (code === 'en') {
+    if (normalized.length <= 3) return 1;
+    // Silent endings: "made", "hoped", "hopes" (but not "table", "wanted" or "places")
+    normalized = normalized.replace(/(?:[^laeiouycgsxz]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match[0]).replace(/^y/, '');
+  } else if (code === 'fr') {
+    // Mute final e: "grande", "grandes", "parlent"
+    normalized = normalized.replace(/(?:es?|ent)$/, '') || normalized;
+  }
+
+  const groups = normalized.match(new RegExp(`[${vowels}]+`, 'g'));
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, decimals = 1) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { hashContent } from './helpers.js';
+
+class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir] - Cache directory
+   * @param {number} [options.ttlHours] - How long entries stay valid
+   */
+  constructor({ dir = '.cache/evaluations', ttlHours = 168 } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Build a cache key from everything that influences an evaluation
+   * @param {Object} parts
+   * @param {string} parts.provider - Provider name
+   * @param {string} parts.model - Model name
+   * @param {string} parts.promptVersion - Prompt version
+   * @param {string} parts.contentHash - Hash of the extracted content
+   * @param {number} [parts.samples] - Number of samples combined into the evaluation
+   * @param {string} parts.longContent - Long content mode ('sections', 'truncate' or 'off')
+   * @param {number} parts.promptBudget - Prompt token budget that triggers the long content mode
+   * @returns {string} Cache key
+   */
+  buildKey({ provider, model, promptVersion, contentHash, samples = 1, longContent, promptBudget }) {
+    return hashContent({ provider, model, promptVersion, contentHash, samples, longContent, promptBudget });
+  }
+
+  getPath(key) {
+    // Shard by prefix so a large cache doesn't put thousands of files in one directory
+    return path.join(this.dir, key.substring(0, 2), `${key}.json`);
+  }
+
+  isExpired(entry) {
+    return Date.now() - new Date(entry.stored_at).getTime() > this.ttlMs;
+  }
+
+  /**
+   * Get a cached evaluation
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Cache entry, or null on a miss or expiry
+   */
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+      return this.isExpired(entry) ? null : entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Cache] Ignoring unreadable cache entry ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store an evaluation
+   * @param {string} key - Cache key
+   * @param {Object} evaluation - Evaluation to store
+   * @param {Object} meta - Key parts, stored for inspection
+   */
+  async set(key, evaluation, meta = {}) {
+    try {
+      const filepath = this.getPath(key);
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+      await fs.writeFile(filepath, JSON.stringify({
+        stored_at: new Date().toISOString(),
+        ...meta,
+        evaluation
+      }, null, 2));
+    } catch (error) {
+      // A cache write failure shouldn't fail the post
+      console.warn(`[Cache] Failed to store ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete expired (or, with all, every) cache entry
+   * @param {Object} options
+   * @param {boolean} [options.all] - Remove every entry regardless of age
+   * @returns {Promise<Object>} Counts of removed and kept entries
+   */
+  async prune({ all = false } = {}) {
+    let removed = 0;
+    let kept = 0;
+
+    let shards;
+    try {
+      shards = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { removed, kept };
+      throw error;
+    }
+
+    for (const shard of shards) {
+      const shardDir = path.join(this.dir, shard);
+      const files = await fs.readdir(shardDir).catch(() => []);
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const filepath = path.join(shardDir, file);
+        let expired = true;
+        if (!all) {
+          try {
+            expired = this.isExpired(JSON.parse(await fs.readFile(filepath, 'utf8')));
+          } catch {
+            // Unreadable entries are removed too
+          }
+        }
+
+        if (expired) {
+          await fs.unlink(filepath);
+          removed++;
+        } else {
+          kept++;
+        }
+      }
+
+      if ((await fs.readdir(shardDir).catch(() => [null])).length === 0) {
+        await fs.rmdir(shardDir);
+      }
+    }
+
+    return { removed, kept };
+  }
+}
+
+export default ResponseCache;
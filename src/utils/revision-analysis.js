@@ -0,0 +1,161 @@
+import { parseHtml, htmlToText } from './html-parser.js';
+
+// An edit is meaningful if it adds or removes at least min_changed_words words, or
+// that share of the post's words, or adds or removes a section heading, or changes the title
+const DEFAULT_OPTIONS = {
+  min_changed_words: 50,
+  min_changed_ratio: 0.05
+};
+
+// Where last_meaningful_update comes from when no fetched revision was a meaningful edit
+const UPDATE_BASIS = {
+  REVISION: 'revision',
+  PUBLISHED: 'published',
+  EARLIEST_FETCHED: 'earliest_fetched_revision'
+};
+
+/**
+ * Work out how substantive each saved revision of a post was, so a typo fix
+ * doesn't count as a content refresh
+ * @param {Array} revisions - Revisions from /wp/v2/<type>/<id>/revisions, in any order
+ * @param {Object} [options] - Thresholds, see DEFAULT_OPTIONS
+ * @param {Object} [post]
+ * @param {string} [post.published] - The post's publish date
+ * @param {boolean} [post.complete] - Whether these are all of the post's revisions, not just the most recent page
+ * @returns {Object|null} {
+ *   revision_count, last_edit, last_meaningful_update,
+ *   last_meaningful_update_basis ('revision', 'published', or 'earliest_fetched_revision' when older revisions weren't fetched),
+ *   edits: [{ date, words_added, words_removed, sections_added, sections_removed, metadata_changed, meaningful }] newest first
+ * }, or null when there are no revisions
+ */
+export function analyzeRevisions(revisions, options = {}, { published, complete = false } = {}) {
+  if (!revisions?.length) return null;
+
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const versions = revisions
+    .map(revision => {
+      const content = parseHtml(revision.content?.rendered ?? revision.content ?? '');
+      return {
+        date: revision.modified || revision.date,
+        title: htmlToText(revision.title?.rendered ?? revision.title ?? ''),
+        excerpt: htmlToText(revision.excerpt?.rendered ?? revision.excerpt ?? ''),
+        words: countWords(content.text),
+        headings: content.headings.filter(heading => heading.level === 2 || heading.level === 3).map(heading => heading.text)
+      };
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const edits = [];
+  for (let i = 1; i < versions.length; i++) {
+    const before = versions[i - 1];
+    const after = versions[i];
+    const { added, removed } = diffCounts(before.words, after.words);
+    const sectionsAdded = after.headings.filter(heading => !before.headings.includes(heading));
+    const sectionsRemoved = before.headings.filter(heading => !after.headings.includes(heading));
+    const metadataChanged = ['title', 'excerpt'].filter(field => before[field] !== after[field]);
+
+    const totalWords = Math.max(sumCounts(after.words), 1);
+    const changedWords = added + removed;
+    const meaningful = changedWords >= settings.min_changed_words ||
+      changedWords / totalWords >= settings.min_changed_ratio ||
+      sectionsAdded.length > 0 || sectionsRemoved.length > 0 ||
+      metadataChanged.includes('title');
+
+    edits.push({
+      date: after.date,
+      words_added: added,
+      words_removed: removed,
+      sections_added: sectionsAdded,
+      sections_removed: sectionsRemoved,
+      metadata_changed: metadataChanged,
+      meaningful
+    });
+  }
+
+  edits.reverse();
+  const lastMeaningful = edits.find(edit => edit.meaningful);
+
+  // Without any meaningful edit, the content dates from publication when every
+  // revision was seen. Otherwise older, unfetched revisions may hold the last
+  // meaningful edit, so all that is known is that none happened since the earliest fetched one.
+  let lastMeaningfulUpdate = versions[0].date;
+  let basis = UPDATE_BASIS.EARLIEST_FETCHED;
+  if (lastMeaningful) {
+    lastMeaningfulUpdate = lastMeaningful.date;
+    basis = UPDATE_BASIS.REVISION;
+  } else if (complete && published) {
+    lastMeaningfulUpdate = published;
+    basis = UPDATE_BASIS.PUBLISHED;
+  }
+
+  return {
+    revision_count: revisions.length,
+    last_edit: versions[versions.length - 1].date,
+    last_meaningful_update: lastMeaningfulUpdate,
+    last_meaningful_update_basis: basis,
+    edits
+  };
+}
+
+/**
+ * Last meaningful update as text for the prompt, saying what the date is based on
+ * @param {Object} history - Result of analyzeRevisions()
+ * @returns {string} Description, or '' without a history
+ */
+export function describeLastMeaningfulUpdate(history) {
+  if (!history) return '';
+
+  const date = history.last_meaningful_update;
+  if (history.last_meaningful_update_basis === UPDATE_BASIS.PUBLISHED) {
+    return `${date} (publish date; no meaningful edit since)`;
+  }
+  if (history.last_meaningful_update_basis === UPDATE_BASIS.EARLIEST_FETCHED) {
+    return `${date} or earlier (no meaningful edit in the ${history.revision_count} most recent revisions; older revisions were not checked)`;
+  }
+  return date;
+}
+
+/**
+ * Summary of the most recent edits for the prompt, one line per edit
+ * @param {Object} history - Result of analyzeRevisions()
+ * @param {number} [limit] - Number of edits to describe
+ * @returns {string} Summary
+ */
+export function summarizeRevisions(history, limit = 5) {
+  if (!history?.edits.length) return '';
+
+  return history.edits.slice(0, limit).map(edit => {
+    const changes = [`+${edit.words_added}/-${edit.words_removed} words`];
+    if (edit.sections_added.length) changes.push(`added sections: ${edit.sections_added.join(', ')}`);
+    if (edit.sections_removed.length) changes.push(`removed sections: ${edit.sections_removed.join(', ')}`);
+    if (edit.metadata_changed.length) changes.push(`changed ${edit.metadata_changed.join(' and ')}`);
+    return `${edit.date.split('T')[0]} (${edit.meaningful ? 'meaningful' : 'minor'}): ${changes.join('; ')}`;
+  }).join('\n');
+}
+
+// Word frequencies, so moved paragraphs don't count as changes
+function countWords(text) {
+  const counts = new Map();
+  for (const word of text.toLowerCase().split(/\s+/).filter(Boolean)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+function sumCounts(counts) {
+  let total = 0;
+  for (const count of counts.values()) total += count;
+  return total;
+}
+
+function diffCounts(before, after) {
+  let added = 0;
+  let removed = 0;
+  for (const [word, count] of after) {
+    added += Math.max(0, count - (before.get(word) || 0));
+  }
+  for (const [word, count] of before) {
+    removed += Math.max(0, count - (after.get(word) || 0));
+  }
+  return { added, removed };
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+class RunManifest {
+  constructor(runId, reportsDir = process.env.REPORTS_DIR || 'reports') {
+    this.runId = runId;
+    this.runsDir = path.join(reportsDir, '_runs');
+    this.filepath = path.join(this.runsDir, `${runId}.json`);
+    this.data = null;
+    // Posts finish concurrently, so writes are chained to keep the file consistent
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Generate a sortable run ID from the current time. The random suffix keeps
+   * runs started in the same second apart.
+   * @returns {string} Run ID, e.g. run-20250101-120000-a3f9
+   */
+  static generateRunId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').split('.')[0];
+    return `run-${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  /**
+   * Load an existing manifest to resume a previous run
+   * @param {string} runId - ID of the run to resume
+   * @param {string} reportsDir - Reports directory
+   * @returns {Promise<RunManifest>} Loaded manifest
+   */
+  static async load(runId, reportsDir) {
+    const manifest = new RunManifest(runId, reportsDir);
+    try {
+      manifest.data = JSON.parse(await fs.readFile(manifest.filepath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Run manifest '${runId}' not found in ${manifest.runsDir}`);
+      }
+      throw new Error(`Failed to read run manifest '${runId}': ${error.message}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Create a new manifest with every identifier marked as pending
+   * @param {Array} identifiers - Post identifiers for this run
+   * @param {Object} options - Run options worth keeping for a resume
+   */
+  async initialize(identifiers, options = {}) {
+    const now = new Date().toISOString();
+    this.data = {
+      run_id: this.runId,
+      created_at: now,
+      updated_at: now,
+      options,
+      items: {}
+    };
+
+    for (const identifier of identifiers) {
+      this.data.items[this.getKey(identifier)] = {
+        identifier,
+        status: STATUS.PENDING,
+        attempts: 0
+      };
+    }
+
+    await fs.mkdir(this.runsDir, { recursive: true });
+    await this.save();
+  }
+
+  getKey(identifier) {
+    return `${identifier.type}:${identifier.value}`;
+  }
+
+  /**
+   * Get all identifiers recorded in the manifest
+   * @returns {Array} Post identifiers
+   */
+  getIdentifiers() {
+    return Object.values(this.data.items).map(item => item.identifier);
+  }
+
+  /**
+   * Get identifiers that still need processing. A post only counts as
+   * completed when it succeeded and its report is still on disk.
+   * @returns {Promise<Array>} Post identifiers
+   */
+  async getRemaining() {
+    const remaining = [];
+
+    for (const item of Object.values(this.data.items)) {
+      if (item.status === STATUS.SUCCEEDED && item.report_path) {
+        try {
+          await fs.access(item.report_path);
+          continue;
+        } catch {
+          console.warn(`[Manifest] Report missing for ${item.identifier.value}, re-queuing`);
+        }
+      }
+      remaining.push(item.identifier);
+    }
+
+    return remaining;
+  }
+
+  /**
+   * Keep the run's LLM usage so a resume can carry on from it. Written with
+   * the next status change.
+   * @param {Object} usage - CostTracker.getSummary() for the run so far
+   */
+  setUsage(usage) {
+    this.data.usage = usage;
+  }
+
+  async markSucceeded(identifier, result) {
+    const item = this.getItem(identifier);
+    item.status = STATUS.SUCCEEDED;
+    item.attempts++;
+    item.completed_at = new Date().toISOString();
+    item.overall_score = result.overall_score;
+    item.report_path = result.report_path;
+    delete item.error;
+    await this.save();
+  }
+
+  async markFailed(identifier, error) {
+    const item = this.getItem(identifier);
+    item.status = STATUS.FAILED;
+    item.attempts++;
+    item.completed_at = new Date().toISOString();
+    item.error = error.message;
+    await this.save();
+  }
+
+  getItem(identifier) {
+    const key = this.getKey(identifier);
+    if (!this.data.items[key]) {
+      this.data.items[key] = { identifier, status: STATUS.PENDING, attempts: 0 };
+    }
+    return this.data.items[key];
+  }
+
+  /**
+   * Count items by status
+   * @returns {Object} Counts keyed by status
+   */
+  getSummary() {
+    const summary = { pending: 0, succeeded: 0, failed: 0 };
+    for (const item of Object.values(this.data.items)) {
+      summary[item.status]++;
+    }
+    return summary;
+  }
+
+  async save() {
+    this.data.updated_at = new Date().toISOString();
+    const snapshot = JSON.stringify(this.data, null, 2);
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      // Write to a temp file first so a crash mid-write can't corrupt the manifest
+      const tempPath = `${this.filepath}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filepath);
+    }).catch(error => {
+      console.error(`Failed to write run manifest ${this.filepath}: ${error.message}`);
+    });
+
+    return this.writeQueue;
+  }
+}
+
+export { STATUS };
+export default RunManifest;
@@ -0,0 +1,69 @@
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Numbers to average
+ * @returns {number|null} Mean, or null for an empty list
+ */
+export function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Median, rounded to a whole number for even-length lists
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, or null for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Ranks with ties sharing their average rank, e.g. [10, 20, 20] -> [1, 2.5, 2.5]
+ * @param {Array<number>} values - Numbers
+ * @returns {Array<number>} Rank of each value
+ */
+export function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation: the Pearson correlation of the ranks
+ * @param {Array<number>} xs - First series
+ * @param {Array<number>} ys - Second series, same length
+ * @returns {number|null} Correlation from -1 to 1, or null when it is undefined
+ *   (fewer than 3 pairs, or a series where every value is the same)
+ */
+export function spearman(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 3) return null;
+
+  const rx = rank(xs);
+  const ry = rank(ys);
+  const mx = mean(rx);
+  const my = mean(ry);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < rx.length; i++) {
+    covariance += (rx[i] - mx) * (ry[i] - my);
+    varianceX += (rx[i] - mx) ** 2;
+    varianceY += (ry[i] - my) ** 2;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
@@ -0,0 +1,99 @@
+const MINUTE = 60000;
+
+/**
+ * Promise pool that caps how many tasks run at once and, optionally, how
+ * many tasks may start within any rolling one-minute window.
+ */
+class TaskPool {
+  constructor({ name = 'pool', concurrency = 1, requestsPerMinute = 0 } = {}) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.requestsPerMinute = requestsPerMinute || 0;
+    this.active = 0;
+    this.queue = [];
+    this.startTimes = [];
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task and resolve with its result once it has run
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Task result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Milliseconds until the rate limit allows another start (0 if allowed now)
+   */
+  getRateDelay() {
+    if (!this.requestsPerMinute) return 0;
+
+    const now = Date.now();
+    this.startTimes = this.startTimes.filter(time => now - time < MINUTE);
+    if (this.startTimes.length < this.requestsPerMinute) return 0;
+
+    return this.startTimes[0] + MINUTE - now;
+  }
+
+  drain() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const delay = this.getRateDelay();
+      if (delay > 0) {
+        if (!this.timer) {
+          console.log(`[Pool:${this.name}] Rate limit of ${this.requestsPerMinute}/min reached, waiting ${Math.ceil(delay / 1000)}s`);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, delay);
+        }
+        return;
+      }
+
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+      this.startTimes.push(Date.now());
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Number of tasks waiting or running
+   */
+  get size() {
+    return this.queue.length + this.active;
+  }
+}
+
+/**
+ * Build the shared pools used while processing posts
+ * @param {Object} runtimeConfig - Runtime configuration (see config/runtime.yaml)
+ * @returns {Object} Pools keyed by service
+ */
+export function createPools(runtimeConfig) {
+  const limits = runtimeConfig.concurrency || {};
+  const pools = {};
+
+  for (const service of ['wordpress', 'llm', 'scraper']) {
+    pools[service] = new TaskPool({
+      name: service,
+      concurrency: limits[service]?.concurrency,
+      requestsPerMinute: limits[service]?.requests_per_minute
+    });
+  }
+
+  return pools;
+}
+
+export default TaskPool;
@@ -0,0 +1,70 @@
+/**
+ * Minimal JSON Schema validator covering the subset used for evaluation
+ * schemas: type, required, properties, items, enum, minimum and maximum.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')} (got ${describeType(value)})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum} (got ${value})`);
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${path}.${field} is required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validateSchema(value[field], fieldSchema, `${path}.${field}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -1,7 +1,21 @@
-import axios from 'axios';
+import { createHttpClient } from './utils/http-client.js';
+import {
+  POST_STATUSES, INTERNAL_POST_TYPES, slugify, decodeEntities,
+  normalizePostData, toAuthorProfile, toFeaturedImage
+} from './wordpress-data.js';
+import { analyzeRevisions } from './utils/revision-analysis.js';
+
+// Built-in posts type, used without a discovery request
+const DEFAULT_POST_TYPE = { slug: 'post', name: 'Posts', rest_base: 'posts', rest_namespace: 'wp/v2' };
 
 class WordPressClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.statuses] - Post statuses to fetch (default: publish only)
+   * @param {string} [options.type] - Post type slug or REST base, e.g. page or destination-guides (default: post)
+   * @param {Object} [options.revisions] - Revision analysis settings from config/runtime.yaml (used when authenticated)
+   */
+  constructor(options = {}) {
     this.baseUrl = process.env.WORDPRESS_BASE_URL;
     if (!this.baseUrl) {
       throw new Error('WORDPRESS_BASE_URL environment variable is required');
@@ -10,7 +24,9 @@ class WordPressClient {
     // Remove trailing slash if present
     this.baseUrl = this.baseUrl.replace(/\/$/, '');
     
-    this.apiClient = axios.create({
+    // Retries, Retry-After and the circuit breaker are handled by the shared HTTP layer
+    this.apiClient = createHttpClient({
+      name: 'WordPress',
       baseURL: this.baseUrl,
       timeout: 30000, // 30 seconds
       headers: {
@@ -20,6 +36,165 @@ class WordPressClient {
         'Cache-Control': 'no-cache'  // Ensure we get fresh responses
       }
     });
+    
+    this.auth = this.getAuthConfig();
+    this.jwtToken = process.env.WORDPRESS_JWT_TOKEN || null;
+    // Credentials are added per request so they never show up in logged default headers
+    this.apiClient.interceptors.request.use(async config => {
+      const authorization = await this.getAuthorizationHeader();
+      if (authorization) {
+        config.headers.Authorization = authorization;
+      }
+      return config;
+    });
+    
+    // Lookups for posts without embedded author/media data, shared across posts
+    this.userCache = new Map();
+    this.mediaCache = new Map();
+    
+    this.statuses = options.statuses || ['publish'];
+    const unknown = this.statuses.filter(status => !POST_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown post status: ${unknown.join(', ')}. Available: ${POST_STATUSES.join(', ')}`);
+    }
+    if (this.statuses.some(status => status !== 'publish') && !this.auth) {
+      throw new Error(`Fetching ${this.statuses.filter(status => status !== 'publish').join(', ')} posts requires WordPress authentication. Set WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD, or WORDPRESS_JWT_TOKEN (see .env.example)`);
+    }
+    
+    this.revisions = { enabled: true, max_revisions: 20, ...options.revisions };
+    
+    this.type = options.type || 'post';
+    // Resolved lazily by getPostType() so the constructor stays synchronous
+    this.postType = this.type === DEFAULT_POST_TYPE.slug ? DEFAULT_POST_TYPE : null;
+  }
+
+  /**
+   * List the content types registered with the REST API
+   * @returns {Promise<Array>} Types as { slug, name, rest_base, rest_namespace }
+   */
+  async getPostTypes() {
+    try {
+      const response = await this.apiClient.get('/wp-json/wp/v2/types');
+      return Object.values(response.data)
+        .filter(type => type.rest_base && !INTERNAL_POST_TYPES.includes(type.slug))
+        .map(type => ({
+          slug: type.slug,
+          name: type.name,
+          rest_base: type.rest_base,
+          rest_namespace: type.rest_namespace || 'wp/v2'
+        }));
+    } catch (error) {
+      throw new Error(`Failed to discover post types: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the configured type against the types the site exposes. Accepts
+   * the type slug (destination_guide), its REST base (destination-guides) or
+   * its label, case-insensitively.
+   * @returns {Promise<Object>} { slug, name, rest_base, rest_namespace }
+   */
+  async getPostType() {
+    if (this.postType) return this.postType;
+    
+    const types = await this.getPostTypes();
+    const wanted = this.type.toLowerCase();
+    const match = types.find(type =>
+      [type.slug, type.rest_base, type.name].some(value => value?.toLowerCase() === wanted));
+    if (!match) {
+      throw new Error(`Unknown post type '${this.type}'. Available: ${types.map(type => type.slug).join(', ')}`);
+    }
+    
+    console.log(`[WordPress] Using post type '${match.slug}' (/wp-json/${match.rest_namespace}/${match.rest_base})`);
+    this.postType = match;
+    return match;
+  }
+
+  /**
+   * REST collection path for the configured type, e.g. /wp-json/wp/v2/pages
+   * @returns {Promise<string>} Endpoint path
+   */
+  async getCollectionEndpoint() {
+    const type = await this.getPostType();
+    return `/wp-json/${type.rest_namespace}/${type.rest_base}`;
+  }
+
+  /**
+   * Read authentication settings from the environment. Application Passwords
+   * (WordPress 5.6+) use Basic auth; JWT needs a JWT authentication plugin
+   * and either a ready-made token or a username and password to exchange for one.
+   * @returns {Object|null} { type: 'application-password' | 'jwt', ... } or null when unauthenticated
+   */
+  getAuthConfig() {
+    const { WORDPRESS_USERNAME, WORDPRESS_APP_PASSWORD, WORDPRESS_PASSWORD, WORDPRESS_JWT_TOKEN, WORDPRESS_AUTH } = process.env;
+    
+    if (WORDPRESS_AUTH === 'jwt' || WORDPRESS_JWT_TOKEN) {
+      if (!WORDPRESS_JWT_TOKEN && !(WORDPRESS_USERNAME && WORDPRESS_PASSWORD)) {
+        throw new Error('JWT authentication needs WORDPRESS_JWT_TOKEN, or WORDPRESS_USERNAME and WORDPRESS_PASSWORD');
+      }
+      return {
+        type: 'jwt',
+        username: WORDPRESS_USERNAME,
+        password: WORDPRESS_PASSWORD,
+        tokenEndpoint: process.env.WORDPRESS_JWT_ENDPOINT || '/wp-json/jwt-auth/v1/token'
+      };
+    }
+    
+    if (WORDPRESS_USERNAME && WORDPRESS_APP_PASSWORD) {
+      return { type: 'application-password', username: WORDPRESS_USERNAME, password: WORDPRESS_APP_PASSWORD };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Build the Authorization header for the configured authentication
+   * @returns {Promise<string|null>} Header value, or null when unauthenticated
+   */
+  async getAuthorizationHeader() {
+    if (!this.auth) return null;
+    
+    if (this.auth.type === 'application-password') {
+      // Application Passwords are shown with spaces, which WordPress ignores
+      const credentials = `${this.auth.username}:${this.auth.password.replace(/\s+/g, '')}`;
+      return `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    
+    if (!this.jwtToken) {
+      this.jwtToken = this.requestJwtToken();
+    }
+    return `Bearer ${await this.jwtToken}`;
+  }
+
+  /**
+   * Exchange the username and password for a JWT
+   * @returns {Promise<string>} Token
+   */
+  async requestJwtToken() {
+    console.log(`[WordPress] Requesting JWT from ${this.baseUrl}${this.auth.tokenEndpoint}`);
+    try {
+      // A separate client, not apiClient, so the auth interceptor doesn't recurse
+      const response = await createHttpClient({ name: 'WordPress' }).post(`${this.baseUrl}${this.auth.tokenEndpoint}`, {
+        username: this.auth.username,
+        password: this.auth.password
+      }, { timeout: 30000 });
+      const token = response.data?.token || response.data?.data?.token || response.data?.jwt;
+      if (!token) {
+        throw new Error('no token in response');
+      }
+      return token;
+    } catch (error) {
+      // Let the next request try again
+      this.jwtToken = null;
+      throw new Error(`WordPress JWT authentication failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Whether the configured statuses include unpublished posts
+   */
+  get includesUnpublished() {
+    return this.statuses.some(status => status !== 'publish');
   }
 
   /**
@@ -27,36 +202,27 @@ class WordPressClient {
    * @param {Object} identifier - Object with type ('slug' or 'id') and value
    * @returns {Promise<Object>} WordPress post data
    */
-  async getPost(identifier, retryCount = 3, retryDelay = 30000) { // 30 seconds as requested by server
+  async getPost(identifier) {
+    // WordPress ignores an empty slug filter and would return some other post
+    if (identifier.type === 'slug' && !identifier.value) {
+      throw new Error('Cannot look up a post by an empty slug; use its ID');
+    }
+    const collection = await this.getCollectionEndpoint();
     try {
       let endpoint;
       
       if (identifier.type === 'slug') {
-        endpoint = `/wp-json/wp/v2/posts?slug=${encodeURIComponent(identifier.value)}&_embed=1`;
+        // Slug queries only return published posts unless other statuses are asked for
+        const status = this.includesUnpublished ? `&status=${this.statuses.join(',')}` : '';
+        endpoint = `${collection}?slug=${encodeURIComponent(identifier.value)}${status}&_embed=1`;
       } else if (identifier.type === 'id') {
-        endpoint = `/wp-json/wp/v2/posts/${identifier.value}?_embed=1`;
+        endpoint = `${collection}/${identifier.value}?_embed=1`;
       } else {
         throw new Error(`Invalid identifier type: ${identifier.type}`);
       }
 
       console.log(`[WordPress] Fetching post from: ${this.baseUrl}${endpoint}`);
       console.log(`[WordPress] Request headers:`, this.apiClient.defaults.headers);
-      console.log(`[WordPress] Attempts remaining: ${retryCount}`);
-      
-      try {
-        // First test the API endpoint
-        console.log('[WordPress] Testing API endpoint...');
-        await this.testConnection();
-        console.log('[WordPress] API endpoint test successful');
-      } catch (testError) {
-        console.error('[WordPress] API endpoint test failed:', testError.message);
-        if (retryCount > 0) {
-          console.log(`[WordPress] Retrying in ${retryDelay/1000} seconds...`);
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          return this.getPost(identifier, retryCount - 1, retryDelay);
-        }
-        throw testError;
-      }
 
       console.log('[WordPress] Sending post request...');
       const response = await this.apiClient.get(endpoint, {
@@ -71,16 +237,22 @@ class WordPressClient {
       let postData;
       if (identifier.type === 'slug') {
         if (!response.data || response.data.length === 0) {
-          throw new Error(`Post with slug '${identifier.value}' not found`);
+          throw new Error(`No ${this.postType.slug} found with slug '${identifier.value}'`);
         }
         postData = response.data[0]; // Take the first match
       } else {
         postData = response.data;
       }
 
-      return this.normalizePostData(postData);
+      // Some custom types omit "type" from their REST responses
+      const post = normalizePostData({ type: this.postType.slug, ...postData });
+      await this.resolveMissingEmbeds(post);
+      post.revision_history = await this.getRevisionHistory(post);
+      return post;
       
     } catch (error) {
+      // The request headers carry the credentials added by the auth interceptor
+      const { Authorization, authorization, ...requestHeaders } = error.config?.headers?.toJSON?.() || error.config?.headers || {};
       console.error('[WordPress] Error details:', {
         message: error.message,
         code: error.code,
@@ -93,14 +265,19 @@ class WordPressClient {
         config: error.config ? {
           url: error.config.url,
           method: error.config.method,
-          headers: error.config.headers,
+          headers: requestHeaders,
           timeout: error.config.timeout
         } : null
       });
 
       if (error.response) {
         if (error.response.status === 404) {
-          throw new Error(`Post not found: ${identifier.value}`);
+          throw new Error(`No ${this.postType.slug} found: ${identifier.value}`);
+        }
+        if (error.response.status === 401 || error.response.status === 403) {
+          throw new Error(this.auth
+            ? `WordPress rejected the ${this.auth.type} credentials (${error.response.status}): ${error.response.data?.message || error.response.statusText}`
+            : `WordPress requires authentication for ${identifier.value} (${error.response.status}). Set WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD, or WORDPRESS_JWT_TOKEN`);
         }
         if (error.response.status === 502) {
           throw new Error(`WordPress API Gateway error (502). This could be due to:
@@ -112,6 +289,9 @@ Try again in a few minutes.`);
         throw new Error(`WordPress API error (${error.response.status}): ${error.response.statusText}
 Response data: ${JSON.stringify(error.response.data, null, 2)}`);
       }
+      if (error.code === 'ECIRCUITOPEN') {
+        throw new Error(`WordPress API unavailable: ${error.message}`);
+      }
       if (error.code === 'ECONNREFUSED') {
         throw new Error(`Cannot connect to WordPress site at ${this.baseUrl}. Please check if the site is accessible.`);
       }
@@ -152,51 +332,198 @@ Stack trace: ${error.stack}`);
   }
 
   /**
-   * Normalize WordPress post data to a consistent format
-   * @param {Object} postData - Raw WordPress API response
-   * @returns {Object} Normalized post data
+   * List posts matching a set of filters, paging through the REST API
+   * @param {Object} filters - Query filters
+   * @param {Array<number>} [filters.categories] - Category IDs (any match)
+   * @param {Array<number>} [filters.tags] - Tag IDs (any match)
+   * @param {number} [filters.author] - Author ID
+   * @param {string} [filters.modifiedBefore] - Only posts last modified before this date
+   * @param {string} [filters.modifiedAfter] - Only posts last modified after this date
+   * @returns {Promise<Array>} Summaries with id, slug, status and modified date, for the configured post type
+   */
+  async listPosts(filters = {}) {
+    const collection = await this.getCollectionEndpoint();
+    const params = {
+      per_page: 100,
+      orderby: 'modified',
+      order: 'desc',
+      status: this.statuses.join(','),
+      _fields: 'id,slug,status,modified'
+    };
+
+    if (filters.categories?.length) params.categories = filters.categories.join(',');
+    if (filters.tags?.length) params.tags = filters.tags.join(',');
+    if (filters.author) params.author = filters.author;
+    if (filters.modifiedBefore) params.modified_before = this.toIsoDate(filters.modifiedBefore);
+    if (filters.modifiedAfter) params.modified_after = this.toIsoDate(filters.modifiedAfter);
+
+    const posts = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      console.log(`[WordPress] Listing ${this.postType.slug} entries, page ${page}/${totalPages}...`);
+      try {
+        const response = await this.apiClient.get(collection, {
+          params: { ...params, page }
+        });
+        posts.push(...response.data);
+        totalPages = parseInt(response.headers['x-wp-totalpages']) || 1;
+      } catch (error) {
+        if (error.response?.status === 400 && error.response.data?.code === 'rest_post_invalid_page_number') {
+          break;
+        }
+        throw new Error(`Failed to list ${this.postType.slug} entries (page ${page}): ${error.response?.data?.message || error.message}`);
+      }
+      page++;
+    } while (page <= totalPages);
+
+    return posts;
+  }
+
+  /**
+   * Resolve category or tag names/slugs to term IDs
+   * @param {string} taxonomy - 'categories' or 'tags'
+   * @param {Array<string>} names - Term names, slugs or numeric IDs
+   * @returns {Promise<Array<number>>} Term IDs
    */
-  normalizePostData(postData) {
-    // Log metadata availability for debugging
-    console.log('[WordPress] Metadata availability check:', {
-      has_yoast_head_json: !!postData.yoast_head_json,
-      yoast_keys: postData.yoast_head_json ? Object.keys(postData.yoast_head_json) : [],
-      has_meta: !!postData.meta,
-      meta_keys: postData.meta ? Object.keys(postData.meta) : [],
-      has_embedded: !!postData._embedded
+  async resolveTermIds(taxonomy, names) {
+    const ids = [];
+
+    for (const name of names) {
+      if (/^\d+$/.test(name)) {
+        ids.push(parseInt(name));
+        continue;
+      }
+
+      const bySlug = await this.apiClient.get(`/wp-json/wp/v2/${taxonomy}`, {
+        params: { slug: slugify(name), _fields: 'id,name,slug' }
+      });
+      let term = bySlug.data[0];
+
+      if (!term) {
+        const bySearch = await this.apiClient.get(`/wp-json/wp/v2/${taxonomy}`, {
+          params: { search: name, per_page: 100, _fields: 'id,name,slug' }
+        });
+        term = bySearch.data.find(t => decodeEntities(t.name).toLowerCase() === name.toLowerCase());
+      }
+
+      if (!term) {
+        throw new Error(`No ${taxonomy === 'tags' ? 'tag' : 'category'} found matching '${name}'`);
+      }
+
+      console.log(`[WordPress] Resolved ${taxonomy} '${name}' to ID ${term.id}`);
+      ids.push(term.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Resolve an author slug or ID to a user ID
+   * @param {string} author - Author slug or numeric ID
+   * @returns {Promise<number>} User ID
+   */
+  async resolveAuthorId(author) {
+    if (/^\d+$/.test(author)) {
+      return parseInt(author);
+    }
+
+    const response = await this.apiClient.get('/wp-json/wp/v2/users', {
+      params: { slug: slugify(author), _fields: 'id,name,slug' }
     });
+    if (!response.data[0]) {
+      throw new Error(`No author found matching '${author}'`);
+    }
 
-    return {
-      id: postData.id,
-      slug: postData.slug,
-      title: postData.title?.rendered || postData.title || '',
-      content: postData.content?.rendered || postData.content || '',
-      excerpt: postData.excerpt?.rendered || postData.excerpt || '',
-      date: postData.date,
-      modified: postData.modified,
-      author: postData.author,
-      categories: postData.categories || [],
-      tags: postData.tags || [],
-      featured_media: postData.featured_media,
-      link: postData.link,
-      status: postData.status,
-      type: postData.type,
-      // Extract meta data if available - prioritize yoast_head_json
-      meta: postData.meta || {},
-      // Extract Yoast SEO data if available
-      yoast_head_json: postData.yoast_head_json || null,
-      // Include embedded data if available
-      _embedded: postData._embedded || null,
-      // Raw data for debugging
-      raw: postData
-    };
+    console.log(`[WordPress] Resolved author '${author}' to ID ${response.data[0].id}`);
+    return response.data[0].id;
+  }
+
+  /**
+   * Convert a date like 2023-01-01 into the ISO 8601 form WordPress expects
+   */
+  toIsoDate(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    return date.toISOString().split('.')[0];
+  }
+
+  /**
+   * Fill in author and featured image details that weren't embedded in the
+   * post response (e.g. _embed stripped by a proxy or cache plugin)
+   * @param {Object} post - Normalized post data
+   * @returns {Promise<Object>} The same post with author_profile and featured_image set where possible
+   */
+  async resolveMissingEmbeds(post) {
+    if (!post.author_profile && post.author) {
+      post.author_profile = await this.lookup(this.userCache, `/wp-json/wp/v2/users/${post.author}`, 'author', toAuthorProfile);
+    }
+    if (!post.featured_image && post.featured_media) {
+      post.featured_image = await this.lookup(this.mediaCache, `/wp-json/wp/v2/media/${post.featured_media}`, 'featured image', toFeaturedImage);
+    }
+    return post;
+  }
+
+  /**
+   * Analyze the post's saved revisions to find its last meaningful update.
+   * The revisions endpoint needs edit access, so this only runs when authenticated.
+   * @param {Object} post - Normalized post data
+   * @returns {Promise<Object|null>} Result of analyzeRevisions(), or null if unavailable
+   */
+  async getRevisionHistory(post) {
+    if (!this.auth || !this.revisions.enabled) return null;
+
+    const endpoint = `${await this.getCollectionEndpoint()}/${post.id}/revisions`;
+    try {
+      const response = await this.apiClient.get(endpoint, {
+        params: { per_page: this.revisions.max_revisions, orderby: 'date', order: 'desc', context: 'edit' }
+      });
+      // Fewer revisions than asked for means none were left out
+      const total = Number(response.headers['x-wp-total'] ?? response.data.length);
+      const history = analyzeRevisions(response.data, this.revisions, {
+        published: post.date,
+        complete: total <= response.data.length
+      });
+      if (history) {
+        console.log(`[WordPress] ${history.revision_count} revisions, last meaningful update ${history.last_meaningful_update} (last edit ${history.last_edit})`);
+      }
+      return history;
+    } catch (error) {
+      console.warn(`[WordPress] Could not load revisions for post ${post.id}: ${error.response?.data?.message || error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a REST resource once per run. Failures are logged and cached as
+   * null, since author and media details are optional for the evaluation.
+   * @param {Map} cache - Cache for this kind of resource
+   * @param {string} endpoint - Resource path
+   * @param {string} label - What is being looked up, for logs
+   * @param {Function} transform - Maps the response data to the cached value
+   * @returns {Promise<Object|null>} Transformed resource, or null
+   */
+  lookup(cache, endpoint, label, transform) {
+    if (!cache.has(endpoint)) {
+      // Cache the promise so concurrent posts by the same author share one request
+      cache.set(endpoint, this.apiClient.get(endpoint)
+        .then(response => transform(response.data))
+        .catch(error => {
+          console.warn(`[WordPress] Could not look up ${label} at ${endpoint}: ${error.response?.data?.message || error.message}`);
+          return null;
+        }));
+    }
+    return cache.get(endpoint);
   }
 
   /**
    * Test the WordPress API connection
    * @returns {Promise<boolean>} True if connection is successful
    */
-  async testConnection(retryCount = 3, retryDelay = 30000) { // 30 seconds as requested by server
+  async testConnection() {
     try {
       console.log(`[WordPress] Testing connection to ${this.baseUrl}/wp-json/`);
       const response = await this.apiClient.get('/wp-json/', {
@@ -216,12 +543,6 @@ Stack trace: ${error.stack}`);
           statusText: error.response.statusText
         } : null
       });
-
-      if (retryCount > 0) {
-        console.log(`[WordPress] Retrying connection test in ${retryDelay/1000} seconds... (${retryCount} attempts remaining)`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        return this.testConnection(retryCount - 1, retryDelay);
-      }
       
       throw new Error(`WordPress API connection test failed: ${error.message}`);
     }
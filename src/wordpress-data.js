@@ -0,0 +1,127 @@
+/**
+ * WordPress post data handling shared by the REST client and the offline
+ * sources in src/sources, so every source produces the same post shape.
+ */
+
+// Statuses other than publish are only visible to authenticated users
+export const POST_STATUSES = ['publish', 'draft', 'future', 'pending', 'private'];
+
+// Registered types that aren't editorial content, hidden from --type
+export const INTERNAL_POST_TYPES = [
+  'attachment', 'nav_menu_item', 'wp_block', 'wp_template', 'wp_template_part',
+  'wp_navigation', 'wp_global_styles', 'wp_font_family', 'wp_font_face'
+];
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+export function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#0?39;|&#8217;/g, "'")
+    .replace(/&quot;/g, '"');
+}
+
+/**
+ * Author fields used by the EEAT evaluation, from an embedded or fetched user
+ * @param {Object} user - REST user object
+ * @returns {Object|null} { id, name, bio, url }, or null when the user isn't public
+ */
+export function toAuthorProfile(user) {
+  // Embedded entries for authors the API won't expose are error objects ({ code, message })
+  if (!user || user.code || !user.name) return null;
+  return {
+    id: user.id,
+    name: user.name,
+    bio: user.description || '',
+    url: user.link || user.url || ''
+  };
+}
+
+/**
+ * Featured image fields, from an embedded or fetched media item
+ * @param {Object} media - REST media object
+ * @returns {Object|null} { id, url, width, height, alt }
+ */
+export function toFeaturedImage(media) {
+  if (!media || media.code || !media.source_url) return null;
+  return {
+    id: media.id,
+    url: media.source_url,
+    width: media.media_details?.width || null,
+    height: media.media_details?.height || null,
+    alt: media.alt_text || ''
+  };
+}
+
+/**
+ * Names of the embedded terms of one taxonomy
+ * @param {Object} embedded - The post's _embedded object
+ * @param {string} taxonomy - Taxonomy slug, e.g. category or post_tag
+ * @returns {Array<string>} Term names
+ */
+function embeddedTermNames(embedded, taxonomy) {
+  return (embedded['wp:term'] || [])
+    .flat()
+    .filter(term => term?.taxonomy === taxonomy && term.name)
+    .map(term => decodeEntities(term.name));
+}
+
+/**
+ * Normalize a REST API post object to a consistent format. Offline sources
+ * build REST-shaped objects and pass them through here too.
+ * @param {Object} postData - Raw WordPress API response
+ * @returns {Object} Normalized post data
+ */
+export function normalizePostData(postData) {
+  // Log metadata availability for debugging
+  console.log('[WordPress] Metadata availability check:', {
+    has_yoast_head_json: !!postData.yoast_head_json,
+    yoast_keys: postData.yoast_head_json ? Object.keys(postData.yoast_head_json) : [],
+    has_meta: !!postData.meta,
+    meta_keys: postData.meta ? Object.keys(postData.meta) : [],
+    has_embedded: !!postData._embedded
+  });
+
+  const embedded = postData._embedded || {};
+
+  return {
+    id: postData.id,
+    slug: postData.slug,
+    title: postData.title?.rendered || postData.title || '',
+    content: postData.content?.rendered || postData.content || '',
+    excerpt: postData.excerpt?.rendered || postData.excerpt || '',
+    date: postData.date,
+    modified: postData.modified,
+    author: postData.author,
+    categories: postData.categories || [],
+    tags: postData.tags || [],
+    featured_media: postData.featured_media,
+    // Resolved from _embedded (requested with _embed=1); see WordPressClient.resolveMissingEmbeds for the fallback
+    author_profile: toAuthorProfile(embedded.author?.[0]),
+    category_names: embeddedTermNames(embedded, 'category'),
+    tag_names: embeddedTermNames(embedded, 'post_tag'),
+    featured_image: toFeaturedImage(embedded['wp:featuredmedia']?.[0]),
+    link: postData.link,
+    status: postData.status,
+    type: postData.type,
+    // Set by multilingual plugins such as Polylang
+    language: postData.lang || '',
+    // Filled in by WordPressClient from the revisions endpoint when authenticated
+    revision_history: postData.revision_history || null,
+    // Extract meta data if available - prioritize yoast_head_json
+    meta: postData.meta || {},
+    // Extract Yoast SEO data if available
+    yoast_head_json: postData.yoast_head_json || null,
+    // Include embedded data if available
+    _embedded: postData._embedded || null,
+    // Raw data for debugging
+    raw: postData
+  };
+}
@@ -0,0 +1,103 @@
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import ConfigLoader from '../src/config-loader.js';
+import GeminiClient from '../src/gemini-client.js';
+import CostTracker from '../src/utils/cost-tracker.js';
+import MockProvider from '../src/llm/mock-provider.js';
+
+const PRICING = { 'mock-evaluator': { input: 1, output: 2 } };
+
+let evaluationConfig;
+let post;
+
+beforeAll(async () => {
+  const configLoader = new ConfigLoader();
+  evaluationConfig = await configLoader.loadEvaluationConfig('hostelworld');
+  const goldenSet = await configLoader.loadCalibrationSet('hostelworld');
+  post = { slug: goldenSet.posts[0].slug, ...goldenSet.posts[0].content };
+});
+
+beforeEach(() => {
+  for (const method of ['log', 'warn', 'error']) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Mock provider whose first `invalid` responses are not JSON
+ */
+function createClient(costTracker, { invalid = 0, ...options } = {}) {
+  const client = new GeminiClient({ provider: 'mock', costTracker, ...options });
+  const provider = new MockProvider({});
+  let calls = 0;
+  client.provider.generate = async (prompt, generateOptions) => {
+    const response = await provider.generate(prompt, generateOptions);
+    return ++calls <= invalid ? { ...response, text: 'Sorry, no JSON today.' } : response;
+  };
+  return client;
+}
+
+describe('LLM usage in the cost tracker', () => {
+  test('counts every request of a successful evaluation once', async () => {
+    const costTracker = new CostTracker({ pricing: PRICING });
+    const evaluation = await createClient(costTracker, { invalid: 1 }).evaluate(post, evaluationConfig);
+
+    const summary = costTracker.getSummary();
+    expect(summary.requests).toBe(2);
+    expect(summary.total_tokens).toBe(evaluation.usage.total_tokens);
+    expect(summary.cost).toBeCloseTo(evaluation.cost, 6);
+    expect(evaluation.cost).toBeGreaterThan(0);
+  });
+
+  test('counts the requests of an evaluation that fails after its repair attempts', async () => {
+    const costTracker = new CostTracker({ pricing: PRICING });
+    const client = createClient(costTracker, { invalid: 10, maxRepairAttempts: 2 });
+
+    await expect(client.evaluate(post, evaluationConfig)).rejects.toThrow(/still invalid after 2 repair attempt/);
+
+    const summary = costTracker.getSummary();
+    expect(summary.requests).toBe(3);
+    expect(summary.total_tokens).toBeGreaterThan(0);
+    expect(summary.cost).toBeGreaterThan(0);
+  });
+
+  test('counts the samples that succeeded when another sample fails', async () => {
+    const costTracker = new CostTracker({ pricing: PRICING });
+    const client = createClient(costTracker, { invalid: 1, maxRepairAttempts: 0, samples: 3 });
+
+    await expect(client.evaluate(post, evaluationConfig)).rejects.toThrow(/still invalid/);
+
+    expect(costTracker.getSummary().requests).toBe(3);
+  });
+
+  test('reaches the budget on spend from failed evaluations', async () => {
+    const costTracker = new CostTracker({ pricing: PRICING, maxCost: 0.000001 });
+    const client = createClient(costTracker, { invalid: 10, maxRepairAttempts: 0 });
+
+    await expect(client.evaluate(post, evaluationConfig)).rejects.toThrow();
+
+    expect(costTracker.isOverBudget()).toBe(true);
+  });
+});
+
+describe('CostTracker.restore', () => {
+  test('continues from the totals of an earlier session', () => {
+    const earlier = new CostTracker({ pricing: PRICING });
+    earlier.record('mock-evaluator', { requests: 2, prompt_tokens: 300000, completion_tokens: 100000, total_tokens: 400000 });
+    earlier.record('llama3', { requests: 1, prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 });
+    // Saved in the run manifest and read back on --resume
+    const saved = JSON.parse(JSON.stringify(earlier.getSummary()));
+
+    const resumed = new CostTracker({ pricing: PRICING, maxCost: 1 });
+    resumed.restore(saved);
+    expect(resumed.getSummary()).toMatchObject({ requests: 3, total_tokens: 400020, cost: 0.5, unpriced_models: ['llama3'] });
+    expect(resumed.isOverBudget()).toBe(false);
+
+    resumed.record('mock-evaluator', { requests: 1, prompt_tokens: 500000, completion_tokens: 0, total_tokens: 500000 });
+    expect(resumed.getSummary().cost).toBe(1);
+    expect(resumed.isOverBudget()).toBe(true);
+  });
+});
@@ -0,0 +1,119 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import CSVWriter from '../src/utils/csv-writer.js';
+
+// Header written before token usage and the later columns were added
+const OLD_HEADER = 'URL,Slug,Score,Status,Top Strengths,Critical Issues,Update Priority,Last Updated,Word Count,Processing Date';
+const OLD_ROW = 'https://example.com/lisbon/,lisbon,77,Good,Strong FAQ,,Low,2024-09-12T10:15:00,512,2025-01-01T12:00:00.000Z';
+
+const RESULT = {
+  url: 'https://example.com/porto/',
+  slug: 'porto',
+  overall_score: 58,
+  top_strengths: ['Local tips'],
+  critical_issues: ['No meta description'],
+  last_updated: '2022-03-04T08:00:00',
+  word_count: 356,
+  tokens: 1200,
+  cost: 0.0012,
+  samples: 1,
+  low_confidence: [],
+  post_status: 'publish',
+  post_type: 'post',
+  image_score: 64
+};
+
+let dir;
+let filepath;
+
+const readLines = async () => (await fs.readFile(filepath, 'utf8')).split('\n').filter(Boolean);
+const otherFiles = async () => (await fs.readdir(dir)).filter(file => file !== path.basename(filepath));
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'seo-csv-'));
+  filepath = path.join(dir, 'seo_analysis_summary.csv');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('CSVWriter.initialize', () => {
+  test('starts a new file with the header', async () => {
+    const writer = new CSVWriter(filepath);
+    await writer.initialize();
+
+    expect(await readLines()).toEqual([writer.headers.join(',')]);
+  });
+
+  test('keeps appending to a file with the current header', async () => {
+    const writer = new CSVWriter(filepath);
+    await writer.initialize();
+    await writer.appendResult(RESULT);
+
+    await new CSVWriter(filepath).initialize();
+
+    expect(await readLines()).toHaveLength(2);
+    expect(await otherFiles()).toEqual([]);
+  });
+
+  test('widens the header of a file written by an older version and keeps its rows', async () => {
+    await fs.writeFile(filepath, `${OLD_HEADER}\n${OLD_ROW}\n`);
+    const writer = new CSVWriter(filepath);
+
+    await writer.initialize();
+    await writer.appendResult(RESULT);
+
+    const [header, oldRow, newRow] = await readLines();
+    expect(header).toBe(writer.headers.join(','));
+    expect(oldRow).toBe(OLD_ROW);
+    // The new row fills every column, and the columns both versions share line up
+    const values = newRow.split(',');
+    expect(values).toHaveLength(writer.headers.length);
+    const column = name => writer.headers.indexOf(name);
+    expect(values[column('Slug')]).toBe('porto');
+    expect(values[column('Score')]).toBe('58');
+    expect(values[column('Word Count')]).toBe('356');
+    expect(values[column('Tokens')]).toBe('1200');
+    expect(values[column('Image Score')]).toBe('64');
+    expect(oldRow.split(',')[column('Slug')]).toBe('lisbon');
+    expect(await otherFiles()).toEqual([]);
+  });
+
+  test('widens a header with Windows line endings', async () => {
+    await fs.writeFile(filepath, `${OLD_HEADER}\r\n${OLD_ROW}\r\n`);
+    const writer = new CSVWriter(filepath);
+
+    await writer.initialize();
+
+    expect((await readLines())[0]).toBe(writer.headers.join(','));
+    expect(await otherFiles()).toEqual([]);
+  });
+
+  test('moves aside a file whose columns are in another order', async () => {
+    const reordered = 'Slug,URL,Score,Status,Top Strengths,Critical Issues,Update Priority,Last Updated,Word Count,Processing Date';
+    await fs.writeFile(filepath, `${reordered}\nlisbon,https://example.com/lisbon/,77\n`);
+    const writer = new CSVWriter(filepath);
+
+    await writer.initialize();
+
+    expect(await readLines()).toEqual([writer.headers.join(',')]);
+    const [rotated] = await otherFiles();
+    expect(rotated).toMatch(/^seo_analysis_summary\..+\.csv$/);
+    expect(await fs.readFile(path.join(dir, rotated), 'utf8')).toBe(`${reordered}\nlisbon,https://example.com/lisbon/,77\n`);
+  });
+
+  test('writes the header into an empty file', async () => {
+    await fs.writeFile(filepath, '');
+    const writer = new CSVWriter(filepath);
+
+    await writer.initialize();
+
+    expect(await readLines()).toEqual([writer.headers.join(',')]);
+    expect(await otherFiles()).toEqual([]);
+  });
+});
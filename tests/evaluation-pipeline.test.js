@@ -0,0 +1,192 @@
+import { jest, describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ConfigLoader from '../src/config-loader.js';
+import GeminiClient from '../src/gemini-client.js';
+import ReportGenerator from '../src/report-generator.js';
+import CriteriaModel from '../src/criteria-model.js';
+
+let evaluationConfig;
+let criteria;
+let posts;
+
+beforeAll(async () => {
+  const configLoader = new ConfigLoader();
+  evaluationConfig = await configLoader.loadEvaluationConfig('hostelworld');
+  criteria = new CriteriaModel(evaluationConfig);
+  const goldenSet = await configLoader.loadCalibrationSet('hostelworld');
+  posts = goldenSet.posts
+    .filter(post => post.content)
+    .map(post => ({ slug: post.slug, ...post.content }));
+});
+
+beforeEach(() => {
+  // The pipeline logs every step; keep the test output readable
+  for (const method of ['log', 'warn', 'error']) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GeminiClient with the mock provider', () => {
+  test('returns a schema-valid evaluation with the weighted overall score', async () => {
+    const client = new GeminiClient({ provider: 'mock' });
+    const evaluation = await client.evaluate(posts[0], evaluationConfig);
+
+    expect(evaluation.provider).toBe('mock');
+    expect(evaluation.model).toBe('mock-evaluator');
+    expect(evaluation.prompt_version).toBe(client.getTemplate(evaluationConfig).id);
+    for (const criterion of criteria.criteria) {
+      const score = evaluation[criterion.outputKey].score;
+      expect(score).toBeGreaterThanOrEqual(40);
+      expect(score).toBeLessThanOrEqual(90);
+    }
+    expect(evaluation.overall_score).toBe(criteria.calculateOverallScore(evaluation).overall_score);
+    expect(evaluation.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('scores the same post the same way every time and different posts differently', async () => {
+    const client = new GeminiClient({ provider: 'mock' });
+    const first = await client.evaluate(posts[0], evaluationConfig);
+    const again = await client.evaluate(posts[0], evaluationConfig);
+    const other = await client.evaluate(posts[1], evaluationConfig);
+
+    const scores = evaluation => criteria.criteria.map(criterion => evaluation[criterion.outputKey].score);
+    expect(scores(again)).toEqual(scores(first));
+    expect(scores(other)).not.toEqual(scores(first));
+  });
+});
+
+describe('parseEvaluationResponse', () => {
+  const client = new GeminiClient({ provider: 'mock' });
+  const validEvaluation = () => {
+    const evaluation = {};
+    for (const criterion of criteria.criteria) {
+      evaluation[criterion.outputKey] = {
+        score: 70,
+        analysis: 'Analysis',
+        strengths: ['Strength'],
+        weaknesses: ['Weakness'],
+        recommendations: ['Recommendation']
+      };
+    }
+    evaluation.overall_score = 12;
+    evaluation.optimization_recommendation = 'Recommendation';
+    evaluation.priority_recommendations = ['Priority'];
+    return evaluation;
+  };
+
+  test('accepts JSON wrapped in code fences and recalculates the overall score', () => {
+    const text = `Here is the evaluation:\n\`\`\`json\n${JSON.stringify(validEvaluation(), null, 2)}\n\`\`\``;
+    const evaluation = client.parseEvaluationResponse({ text, finishReason: 'stop' }, criteria);
+
+    expect(evaluation.overall_score).toBe(70);
+    expect(evaluation.priority).toBe('medium');
+  });
+
+  test('rejects truncated responses', () => {
+    const text = JSON.stringify(validEvaluation());
+    expect(() => client.parseEvaluationResponse({ text, finishReason: 'length' }, criteria))
+      .toThrow(/truncated/);
+  });
+
+  test('rejects responses without JSON', () => {
+    expect(() => client.parseEvaluationResponse({ text: 'Sorry, I cannot help with that.' }, criteria))
+      .toThrow(/does not contain JSON/);
+  });
+
+  test('rejects evaluations that miss a dimension', () => {
+    const evaluation = validEvaluation();
+    delete evaluation[criteria.criteria[0].outputKey];
+
+    let error;
+    try {
+      client.parseEvaluationResponse({ text: JSON.stringify(evaluation) }, criteria);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).toMatch(/schema validation/);
+    expect(error.validationErrors.length).toBeGreaterThan(0);
+  });
+});
+
+describe('GeminiClient with recorded fixtures', () => {
+  let fixtureDir;
+
+  beforeEach(async () => {
+    fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seo-fixtures-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('replays a recorded response without calling the provider', async () => {
+    const recorder = new GeminiClient({ provider: 'mock', fixtures: { mode: 'record', dir: fixtureDir } });
+    const recorded = await recorder.evaluate(posts[0], evaluationConfig);
+
+    const files = await fs.readdir(fixtureDir);
+    expect(files).toHaveLength(1);
+    const fixture = JSON.parse(await fs.readFile(path.join(fixtureDir, files[0]), 'utf8'));
+    expect(fixture.provider).toBe('mock');
+    expect(`${fixture.prompt_hash}.json`).toBe(files[0]);
+
+    const player = new GeminiClient({ fixtures: { mode: 'replay', dir: fixtureDir } });
+    const replayed = await player.evaluate(posts[0], evaluationConfig);
+
+    expect(replayed.provider).toBe('fixture');
+    expect(replayed.overall_score).toBe(recorded.overall_score);
+    for (const criterion of criteria.criteria) {
+      expect(replayed[criterion.outputKey]).toEqual(recorded[criterion.outputKey]);
+    }
+  });
+
+  test('fails when no fixture was recorded for the prompt', async () => {
+    const player = new GeminiClient({ fixtures: { mode: 'replay', dir: fixtureDir } });
+
+    await expect(player.evaluate(posts[0], evaluationConfig)).rejects.toThrow(/No recorded fixture for this prompt/);
+  });
+});
+
+describe('ReportGenerator', () => {
+  test('renders the scores of every dimension and records the report metadata', async () => {
+    const client = new GeminiClient({ provider: 'mock' });
+    const evaluation = await client.evaluate(posts[0], evaluationConfig);
+    const reportGenerator = new ReportGenerator(evaluationConfig);
+
+    const report = reportGenerator.generate(evaluation, posts[0]);
+
+    expect(report.filename).toBe('seo-analysis-report.md');
+    expect(report.content).toContain(`**Post Title:** ${posts[0].title}`);
+    expect(report.content).toContain(`${evaluation.overall_score}/100`);
+    for (const criterion of criteria.criteria) {
+      expect(report.content).toContain(criterion.name);
+      expect(report.content).toContain(String(evaluation[criterion.outputKey].score));
+    }
+
+    expect(report.metadata).toMatchObject({
+      slug: posts[0].slug,
+      overall_score: evaluation.overall_score,
+      url: posts[0].url,
+      prompt_version: evaluation.prompt_version,
+      evaluation_config_hash: reportGenerator.getConfigHash()
+    });
+    expect(report.metadata.content_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('changes the config hash when a criterion changes', () => {
+    const original = new ReportGenerator(evaluationConfig);
+    const [first, ...rest] = evaluationConfig.evaluation_criteria;
+    const [[key, criterion]] = Object.entries(first);
+    const changed = new ReportGenerator({
+      ...evaluationConfig,
+      evaluation_criteria: [{ [key]: { ...criterion, description: `${criterion.description} (revised)` } }, ...rest]
+    });
+
+    expect(changed.getConfigHash()).not.toBe(original.getConfigHash());
+  });
+});
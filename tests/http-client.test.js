@@ -0,0 +1,256 @@
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import { configureHttp, createHttpClient, parseRetryAfter, CircuitBreaker } from '../src/utils/http-client.js';
+
+const RESET_TIMEOUT_MS = 50;
+
+const httpConfig = (failureThreshold = 10) => ({
+  retries: 2,
+  base_delay_ms: 1,
+  max_delay_ms: 5,
+  max_retry_after_ms: 2000,
+  circuit_breaker: { failure_threshold: failureThreshold, reset_timeout_ms: RESET_TIMEOUT_MS }
+});
+
+// Stub server that answers each request with the next queued response
+let server;
+let baseURL;
+let queue;
+let hits;
+
+function respondWith(...responses) {
+  queue.push(...responses);
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    const { status = 200, headers = {}, body = { ok: true }, delayMs = 0 } = queue.shift() || {};
+    setTimeout(() => {
+      if (res.destroyed) return;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    }, delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  // The shared keep-alive agent would otherwise hold connections open
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  queue = [];
+  hits = 0;
+  configureHttp(httpConfig());
+  for (const method of ['log', 'warn']) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('retries', () => {
+  test('retries 5xx responses until one succeeds', async () => {
+    respondWith({ status: 503 }, { status: 502 }, { status: 200, body: { id: 1 } });
+    const client = createHttpClient({ baseURL });
+
+    const response = await client.get('/posts');
+
+    expect(response.data).toEqual({ id: 1 });
+    expect(hits).toBe(3);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    respondWith({ status: 500 }, { status: 500 }, { status: 500 }, { status: 200 });
+    const client = createHttpClient({ baseURL });
+
+    await expect(client.get('/posts')).rejects.toMatchObject({ response: { status: 500 } });
+    expect(hits).toBe(3);
+  });
+
+  test('does not retry client errors', async () => {
+    respondWith({ status: 404 }, { status: 200 });
+    const client = createHttpClient({ baseURL });
+
+    await expect(client.get('/missing')).rejects.toMatchObject({ response: { status: 404 } });
+    expect(hits).toBe(1);
+  });
+
+  test('sends a request once when retries are disabled for it', async () => {
+    respondWith({ status: 503 }, { status: 200 });
+    const client = createHttpClient({ baseURL });
+
+    await expect(client.get('/posts', { retry: false })).rejects.toMatchObject({ response: { status: 503 } });
+    expect(hits).toBe(1);
+  });
+});
+
+describe('Retry-After', () => {
+  test('waits as long as a 429 response asks', async () => {
+    respondWith({ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 });
+    const client = createHttpClient({ baseURL });
+
+    const started = Date.now();
+    await client.get('/posts');
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(950);
+    expect(hits).toBe(2);
+  });
+
+  test('fails instead of waiting longer than max_retry_after_ms', async () => {
+    respondWith({ status: 503, headers: { 'Retry-After': '3600' } }, { status: 200 });
+    const client = createHttpClient({ baseURL });
+
+    await expect(client.get('/posts')).rejects.toMatchObject({ response: { status: 503 } });
+    expect(hits).toBe(1);
+  });
+
+  test('parses seconds and HTTP dates', () => {
+    const now = Date.parse('2025-01-01T12:00:00Z');
+
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 11:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+});
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  test('opens after the failure threshold and lets one trial through once the reset timeout has passed', () => {
+    const breaker = new CircuitBreaker({ host: 'example.com', failureThreshold: 2, resetTimeoutMs: 1000 });
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.check()).toBe(false);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(() => breaker.check()).toThrow(expect.objectContaining({ code: 'ECIRCUITOPEN' }));
+
+    now += 1000;
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.check()).toBe(true);
+    // Only one trial at a time
+    expect(() => breaker.check()).toThrow(expect.objectContaining({ code: 'ECIRCUITOPEN' }));
+  });
+
+  test('closes when the trial succeeds', () => {
+    const breaker = new CircuitBreaker({ host: 'example.com', failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    now += 1000;
+    breaker.check();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+    expect(breaker.check()).toBe(false);
+  });
+
+  test('reopens when the trial fails', () => {
+    const breaker = new CircuitBreaker({ host: 'example.com', failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    now += 1000;
+    breaker.check();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    now += 1000;
+    expect(breaker.check()).toBe(true);
+  });
+
+  test('lets another request become the trial when the trial is released', () => {
+    const breaker = new CircuitBreaker({ host: 'example.com', failureThreshold: 1, resetTimeoutMs: 1000 });
+    breaker.recordFailure();
+    now += 1000;
+    breaker.check();
+
+    breaker.releaseTrial();
+
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.check()).toBe(true);
+  });
+});
+
+describe('circuit breaker in the client', () => {
+  beforeEach(() => {
+    configureHttp(httpConfig(2));
+  });
+
+  async function openCircuit(client) {
+    respondWith({ status: 500 }, { status: 500 });
+    await expect(client.get('/posts', { retry: false })).rejects.toMatchObject({ response: { status: 500 } });
+    await expect(client.get('/posts', { retry: false })).rejects.toMatchObject({ response: { status: 500 } });
+  }
+
+  test('fails fast while open, then closes after a successful trial', async () => {
+    const client = createHttpClient({ baseURL });
+    await openCircuit(client);
+
+    await expect(client.get('/posts')).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+    expect(hits).toBe(2);
+
+    await wait(RESET_TIMEOUT_MS + 10);
+    respondWith({ status: 200 }, { status: 200 });
+    await client.get('/posts');
+    await client.get('/posts');
+    expect(hits).toBe(4);
+  });
+
+  test('reopens after a failed trial', async () => {
+    const client = createHttpClient({ baseURL });
+    await openCircuit(client);
+
+    await wait(RESET_TIMEOUT_MS + 10);
+    respondWith({ status: 500 });
+    // The failed trial reopens the circuit, so its retry is refused without reaching the server
+    await expect(client.get('/posts')).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+    expect(hits).toBe(3);
+
+    await expect(client.get('/posts')).rejects.toMatchObject({ code: 'ECIRCUITOPEN' });
+  });
+
+  test('does not trip on client errors', async () => {
+    const client = createHttpClient({ baseURL });
+    respondWith({ status: 404 }, { status: 404 }, { status: 404 }, { status: 200 });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('/missing')).rejects.toMatchObject({ response: { status: 404 } });
+    }
+    await expect(client.get('/posts')).resolves.toMatchObject({ status: 200 });
+  });
+
+  test('sends a new trial when the previous one was cancelled', async () => {
+    const client = createHttpClient({ baseURL });
+    await openCircuit(client);
+    await wait(RESET_TIMEOUT_MS + 10);
+
+    respondWith({ status: 200, delayMs: 1000 });
+    const controller = new AbortController();
+    const trial = client.get('/posts', { signal: controller.signal });
+    await wait(20);
+    controller.abort();
+    await expect(trial).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+
+    respondWith({ status: 200, body: { id: 2 } });
+    const response = await client.get('/posts');
+    expect(response.data).toEqual({ id: 2 });
+  });
+});
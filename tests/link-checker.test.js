@@ -0,0 +1,99 @@
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import LinkChecker from '../src/link-checker.js';
+import { configureHttp } from '../src/utils/http-client.js';
+
+let server;
+let baseURL;
+let requests;
+let dir;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    if (req.url === '/old-page') {
+      res.writeHead(301, { Location: '/page' });
+    } else if (req.url === '/no-head' && req.method === 'HEAD') {
+      res.writeHead(405);
+    } else if (req.url === '/missing') {
+      res.writeHead(404);
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+  requests = [];
+  configureHttp();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'seo-links-'));
+  for (const method of ['log', 'warn']) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const createChecker = () => new LinkChecker({ cache: { dir, ttl_hours: 24 } });
+const readCacheFile = async () => JSON.parse(await fs.readFile(path.join(dir, 'links.json'), 'utf8'));
+
+describe('LinkChecker', () => {
+  test('follows redirects and falls back to GET when HEAD is refused', async () => {
+    const results = await createChecker().checkAll([`${baseURL}/old-page`, `${baseURL}/no-head`, `${baseURL}/missing`]);
+
+    expect(results.get(`${baseURL}/old-page`)).toMatchObject({
+      status: 200,
+      final_url: `${baseURL}/page`,
+      redirects: [{ url: `${baseURL}/old-page`, status: 301 }]
+    });
+    expect(results.get(`${baseURL}/no-head`)).toMatchObject({ status: 200, redirects: [] });
+    expect(results.get(`${baseURL}/missing`)).toMatchObject({ status: 404 });
+    expect(requests).toContain('GET /no-head');
+  });
+
+  test('answers from the cache file in later runs', async () => {
+    await createChecker().checkAll([`${baseURL}/page`]);
+    requests = [];
+
+    const results = await createChecker().checkAll([`${baseURL}/page`]);
+
+    expect(results.get(`${baseURL}/page`)).toMatchObject({ status: 200 });
+    expect(requests).toEqual([]);
+  });
+
+  test('keeps the results of posts checked at the same time', async () => {
+    const earlier = `${baseURL}/checked-last-run`;
+    await fs.writeFile(path.join(dir, 'links.json'), JSON.stringify({
+      [earlier]: { checked_at: new Date().toISOString(), result: { status: 200, final_url: earlier, redirects: [], error: null, timed_out: false } }
+    }));
+    const checker = createChecker();
+    const readCache = jest.spyOn(checker, 'readCache');
+
+    // One checkAll per post, as the post pool runs them
+    await Promise.all([
+      checker.checkAll([`${baseURL}/first`]),
+      checker.checkAll([`${baseURL}/second`]),
+      checker.checkAll([`${baseURL}/third`, earlier])
+    ]);
+
+    expect(readCache).toHaveBeenCalledTimes(1);
+    expect(Object.keys(await readCacheFile()).sort()).toEqual(
+      [earlier, `${baseURL}/first`, `${baseURL}/second`, `${baseURL}/third`].sort()
+    );
+    expect(requests).not.toContain('HEAD /checked-last-run');
+  });
+});
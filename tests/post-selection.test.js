@@ -0,0 +1,169 @@
+import { jest, describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import WordPressClient from '../src/wordpress-client.js';
+import { createPostSource } from '../src/sources/index.js';
+import { hasPostSelectors, listPostIdentifiers, describeIdentifier } from '../src/post-selection.js';
+
+const PUBLISHED = {
+  id: 7,
+  slug: 'best-hostels-in-lisbon',
+  type: 'post',
+  status: 'publish',
+  date: '2024-01-10T09:00:00',
+  modified: '2024-09-12T10:15:00',
+  link: 'https://example.com/best-hostels-in-lisbon/',
+  title: { rendered: 'The 7 Best Hostels in Lisbon' },
+  content: { rendered: '<p>Lisbon hostels.</p>' },
+  excerpt: { rendered: '' }
+};
+
+// A draft that was never published has no slug yet
+const DRAFT = {
+  ...PUBLISHED,
+  id: 41,
+  slug: '',
+  status: 'draft',
+  modified: '2024-10-01T08:00:00',
+  link: 'https://example.com/?p=41',
+  title: { rendered: 'Hostels in Porto (draft)' },
+  content: { rendered: '<p>Porto hostels.</p>' }
+};
+
+beforeEach(() => {
+  for (const method of ['log', 'warn', 'error']) {
+    jest.spyOn(console, method).mockImplementation(() => {});
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hasPostSelectors', () => {
+  test('lists posts for --all and the section selectors', () => {
+    for (const options of [{ all: true }, { category: 'Europe' }, { tag: 'budget' }, { author: 'jane-doe' },
+      { modifiedBefore: '2023-01-01' }, { modifiedAfter: '2023-01-01' }]) {
+      expect(hasPostSelectors(options)).toBe(true);
+    }
+  });
+
+  test('does not treat --type or --status alone as a selection', () => {
+    expect(hasPostSelectors({})).toBe(false);
+    expect(hasPostSelectors({ status: 'draft' })).toBe(false);
+    expect(hasPostSelectors({ type: 'page' })).toBe(false);
+    expect(hasPostSelectors({ type: 'page', status: 'draft,publish' })).toBe(false);
+    expect(hasPostSelectors({ type: 'page', all: true })).toBe(true);
+    expect(hasPostSelectors({ status: 'draft', category: 'Europe' })).toBe(true);
+  });
+});
+
+describe('listed posts from the REST API', () => {
+  const env = {};
+  let server;
+  let requests;
+
+  beforeAll(async () => {
+    // Stub WordPress: like the real one, it ignores an empty slug filter
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const url = new URL(req.url, 'http://localhost');
+      let body;
+      if (url.pathname === '/wp-json/wp/v2/posts/41') {
+        body = DRAFT;
+      } else if (url.pathname === '/wp-json/wp/v2/posts' && url.searchParams.has('_fields')) {
+        body = [DRAFT, PUBLISHED].map(({ id, slug, status, modified }) => ({ id, slug, status, modified }));
+      } else if (url.pathname === '/wp-json/wp/v2/posts') {
+        body = [PUBLISHED];
+      } else {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 'rest_no_route' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json', 'X-WP-TotalPages': '1' });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    for (const name of ['WORDPRESS_BASE_URL', 'WORDPRESS_USERNAME', 'WORDPRESS_APP_PASSWORD', 'WORDPRESS_JWT_TOKEN', 'WORDPRESS_AUTH']) {
+      env[name] = process.env[name];
+      delete process.env[name];
+    }
+    process.env.WORDPRESS_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.WORDPRESS_USERNAME = 'editor';
+    process.env.WORDPRESS_APP_PASSWORD = 'abcd efgh ijkl mnop';
+  });
+
+  afterAll(async () => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const createClient = () => new WordPressClient({ statuses: ['draft', 'publish'], revisions: { enabled: false } });
+
+  test('identifies listed posts by ID', async () => {
+    const identifiers = await listPostIdentifiers({ status: 'draft,publish' }, createClient());
+
+    expect(identifiers).toEqual([
+      { type: 'id', value: 41, slug: null },
+      { type: 'id', value: 7, slug: 'best-hostels-in-lisbon' }
+    ]);
+    expect(identifiers.map(describeIdentifier)).toEqual(['41', 'best-hostels-in-lisbon']);
+  });
+
+  test('fetches a draft without a slug by its ID', async () => {
+    const client = createClient();
+    const [draft] = await listPostIdentifiers({ status: 'draft' }, client);
+
+    const post = await client.getPost(draft);
+
+    expect(post.id).toBe(41);
+    expect(post.status).toBe('draft');
+    expect(requests).toContain('/wp-json/wp/v2/posts/41?_embed=1');
+  });
+
+  test('refuses to look up a post by an empty slug', async () => {
+    await expect(createClient().getPost({ type: 'slug', value: '' })).rejects.toThrow(/empty slug/);
+    expect(requests).toEqual([]);
+  });
+});
+
+describe('listed posts from an offline copy', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'seo-posts-'));
+    await fs.writeFile(path.join(dir, 'posts.json'), JSON.stringify([PUBLISHED, DRAFT]));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reads a draft without a slug and fetches it by ID', async () => {
+    const source = createPostSource({ source: `json-dir:${dir}`, statuses: ['draft'] });
+
+    const identifiers = await listPostIdentifiers({ status: 'draft' }, source);
+    expect(identifiers).toEqual([{ type: 'id', value: 41, slug: null }]);
+
+    const post = await source.getPost(identifiers[0]);
+    expect(post.id).toBe(41);
+    expect(post.title).toBe('Hostels in Porto (draft)');
+  });
+
+  test('refuses to look up a post by an empty slug', async () => {
+    const source = createPostSource({ source: `json-dir:${dir}`, statuses: ['draft'] });
+
+    await expect(source.getPost({ type: 'slug', value: '' })).rejects.toThrow(/empty slug/);
+  });
+});